@@ -0,0 +1,299 @@
+const { validationResult } = require('express-validator');
+const Campaign = require('../models/Campaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Subscription = require('../models/Subscription');
+const emailService = require('../utils/emailService');
+const Segment = require('../models/Segment');
+const { logAudit, auditChange, snapshot } = require('../utils/auditService');
+const { PIXEL, verifyOpenToken, verifyClick, recordOpen, recordClick } = require('../utils/campaignTracking');
+
+const EDITABLE_FIELDS = ['name', 'subject', 'html', 'text', 'segment', 'segmentId'];
+
+const notFound = (res) => res.status(404).json({ success: false, message: 'Campaign not found' });
+
+const segmentMissing = async (segmentId) => Boolean(segmentId) && !(await Segment.exists({ _id: segmentId }));
+
+exports.getAllCampaigns = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [campaigns, total] = await Promise.all([
+      Campaign.find(filter).select('-html -text').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Campaign.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      campaigns,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCampaigns: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch campaigns', error: error.message });
+  }
+};
+
+exports.getCampaignById = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) return notFound(res);
+
+    const [deliveries, engagement] = await Promise.all([
+      CampaignDelivery.countByStatus(campaign._id),
+      CampaignDelivery.countEngagement(campaign._id)
+    ]);
+    res.json({ success: true, campaign, deliveries, engagement });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch campaign', error: error.message });
+  }
+};
+
+// Per-recipient delivery status (GET /api/campaigns/:id/deliveries)
+exports.getCampaignDeliveries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const filter = { campaignId: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [deliveries, total] = await Promise.all([
+      CampaignDelivery.find(filter).sort({ _id: 1 }).skip((page - 1) * limit).limit(limit),
+      CampaignDelivery.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    await logAudit('read', 'campaign', req.params.id, req, { view: 'deliveries', count: deliveries.length });
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalDeliveries: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch deliveries', error: error.message });
+  }
+};
+
+exports.createCampaign = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    if (await segmentMissing(req.body.segmentId)) {
+      return res.status(400).json({ success: false, message: 'Segment not found' });
+    }
+
+    const data = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    const campaign = await Campaign.create({ ...data, createdBy: req.user.username });
+
+    await auditChange('create', 'campaign', req, { after: campaign });
+
+    res.status(201).json({ success: true, message: 'Campaign created', campaign });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to create campaign', error: error.message });
+  }
+};
+
+// Only drafts can be edited; cancel a scheduled campaign and copy it to change it
+exports.updateCampaign = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) return notFound(res);
+    if (campaign.status !== 'draft') {
+      return res.status(409).json({ success: false, message: `Cannot edit a ${campaign.status} campaign` });
+    }
+    if (await segmentMissing(req.body.segmentId)) {
+      return res.status(400).json({ success: false, message: 'Segment not found' });
+    }
+
+    const before = snapshot(campaign);
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) campaign[field] = req.body[field];
+    }
+    campaign.updatedBy = req.user.username;
+    await campaign.save();
+
+    await auditChange('update', 'campaign', req, { before, after: campaign });
+
+    res.json({ success: true, message: 'Campaign updated', campaign });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update campaign', error: error.message });
+  }
+};
+
+// The email as subscribers will see it, how many it is addressed to and how many would get it
+// right now (GET /api/campaigns/:id/preview)
+exports.previewCampaign = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) return notFound(res);
+
+    const [recipientCount, deliverableCount] = await Promise.all([
+      Subscription.countDocuments(await campaign.audienceQuery()),
+      Subscription.countDocuments(await campaign.audienceQuery({ deliverableOnly: true }))
+    ]);
+
+    res.json({
+      success: true,
+      preview: emailService.previewNewsletter(campaign.toNewsletter()),
+      recipientCount,
+      // The rest are paused and will be skipped, or inside their frequency window and will get it
+      // in their next digest
+      deliverableCount
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to preview campaign', error: error.message });
+  }
+};
+
+// Send a proof to a few addresses (POST /api/campaigns/:id/test)
+exports.testSendCampaign = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) return notFound(res);
+
+    const result = await emailService.sendNewsletterTest(req.body.emails, campaign.toNewsletter());
+    await logAudit('test-send', 'campaign', campaign._id, req, { emails: req.body.emails, messageId: result.messageId });
+
+    res.json({ success: true, message: `Test sent to ${req.body.emails.join(', ')}` });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to send test', error: error.message });
+  }
+};
+
+// Queue a draft for the campaign sender, now or at scheduledAt (POST /api/campaigns/:id/schedule)
+exports.scheduleCampaign = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : new Date();
+    if (scheduledAt < new Date(Date.now() - 60 * 1000)) {
+      return res.status(400).json({ success: false, message: 'scheduledAt must not be in the past' });
+    }
+
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: req.params.id, status: 'draft' },
+      { $set: { status: 'scheduled', scheduledAt, updatedBy: req.user.username } },
+      { new: true }
+    );
+    if (!campaign) {
+      const existing = await Campaign.findById(req.params.id).select('status');
+      if (!existing) return notFound(res);
+      return res.status(409).json({ success: false, message: `Cannot schedule a ${existing.status} campaign` });
+    }
+
+    await logAudit('schedule', 'campaign', campaign._id, req, { scheduledAt });
+
+    res.json({ success: true, message: `Campaign scheduled for ${scheduledAt.toISOString()}`, campaign });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to schedule campaign', error: error.message });
+  }
+};
+
+// Stop a scheduled or sending campaign. A send in progress stops after its current batch.
+// (POST /api/campaigns/:id/cancel)
+exports.cancelCampaign = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['scheduled', 'sending'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), updatedBy: req.user.username } },
+      { new: true }
+    );
+    if (!campaign) {
+      const existing = await Campaign.findById(req.params.id).select('status');
+      if (!existing) return notFound(res);
+      return res.status(409).json({ success: false, message: `Cannot cancel a ${existing.status} campaign` });
+    }
+
+    const skipped = await CampaignDelivery.updateMany(
+      { campaignId: campaign._id, status: { $in: ['queued', 'deferred'] } },
+      { $set: { status: 'skipped', reason: 'Campaign cancelled' } }
+    );
+
+    await logAudit('cancel', 'campaign', campaign._id, req, { skippedRecipients: skipped.modifiedCount });
+
+    res.json({ success: true, message: 'Campaign cancelled', campaign });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to cancel campaign', error: error.message });
+  }
+};
+
+// Open tracking pixel (GET /api/campaigns/track/open/:token). Always returns the image.
+exports.trackOpen = async (req, res) => {
+  const deliveryId = verifyOpenToken(req.params.token);
+  if (deliveryId) {
+    await recordOpen(deliveryId).catch(error => console.error('❌ Open tracking failed:', error.message));
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, max-age=0',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(PIXEL);
+};
+
+// Click redirect (GET /api/campaigns/track/click/:deliveryId?url=&sig=)
+exports.trackClick = async (req, res) => {
+  const { url, sig } = req.query;
+  if (!verifyClick(req.params.deliveryId, url, sig)) {
+    return res.status(400).json({ success: false, message: 'This link is invalid' });
+  }
+
+  await recordClick(req.params.deliveryId).catch(error => console.error('❌ Click tracking failed:', error.message));
+  res.redirect(302, url);
+};
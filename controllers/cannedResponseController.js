@@ -0,0 +1,208 @@
+const { validationResult } = require('express-validator');
+const CannedResponse = require('../models/CannedResponse');
+const Contact = require('../models/Contact');
+const emailService = require('../utils/emailService');
+const { senderName, sendContactReply } = require('../utils/contactReply');
+const { logAudit, auditChange, snapshot } = require('../utils/auditService');
+
+const EDITABLE_FIELDS = ['title', 'category', 'subject', 'body'];
+
+// Placeholders we can't fill would go out to customers verbatim, so refuse to save them
+const unknownPlaceholders = (fields) => {
+  const found = new Set();
+  for (const text of [fields.subject, fields.body]) {
+    if (!text) continue;
+    CannedResponse.renderTemplate(text, {}).unknownPlaceholders.forEach(key => found.add(key));
+  }
+  return [...found];
+};
+
+const rejectUnknownPlaceholders = (res, unknown) => res.status(400).json({
+  success: false,
+  message: `Unknown placeholders: ${unknown.map(key => `{{${key}}}`).join(', ')}`,
+  allowedPlaceholders: CannedResponse.PLACEHOLDERS
+});
+
+const duplicateTitle = (error) => error.code === 11000;
+
+// Look up the response and contact named in a preview/send request
+const loadForContact = async (req, res) => {
+  const [cannedResponse, contact] = await Promise.all([
+    CannedResponse.findById(req.params.id),
+    Contact.findById(req.body.contactId)
+  ]);
+  if (!cannedResponse) {
+    res.status(404).json({ success: false, message: 'Canned response not found' });
+    return null;
+  }
+  if (!contact) {
+    res.status(404).json({ success: false, message: 'Contact not found' });
+    return null;
+  }
+  return { cannedResponse, contact };
+};
+
+exports.getAllCannedResponses = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.category) filter.category = req.query.category.toLowerCase();
+
+    const cannedResponses = await CannedResponse.find(filter).sort({ usageCount: -1, title: 1 });
+    res.json({ success: true, cannedResponses, placeholders: CannedResponse.PLACEHOLDERS });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch canned responses', error: error.message });
+  }
+};
+
+exports.getCannedResponseById = async (req, res) => {
+  try {
+    const cannedResponse = await CannedResponse.findById(req.params.id);
+    if (!cannedResponse) return res.status(404).json({ success: false, message: 'Canned response not found' });
+    res.json({ success: true, cannedResponse });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch canned response', error: error.message });
+  }
+};
+
+exports.createCannedResponse = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const unknown = unknownPlaceholders(req.body);
+  if (unknown.length) return rejectUnknownPlaceholders(res, unknown);
+
+  try {
+    const data = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    const cannedResponse = await CannedResponse.create({ ...data, createdBy: req.user.username });
+
+    await auditChange('create', 'canned-response', req, { after: cannedResponse });
+
+    res.status(201).json({ success: true, message: 'Canned response created', cannedResponse });
+  } catch (error) {
+    if (duplicateTitle(error)) {
+      return res.status(409).json({ success: false, message: 'A canned response with this title already exists' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to create canned response', error: error.message });
+  }
+};
+
+exports.updateCannedResponse = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const unknown = unknownPlaceholders(req.body);
+  if (unknown.length) return rejectUnknownPlaceholders(res, unknown);
+
+  try {
+    const cannedResponse = await CannedResponse.findById(req.params.id);
+    if (!cannedResponse) return res.status(404).json({ success: false, message: 'Canned response not found' });
+
+    const before = snapshot(cannedResponse);
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) cannedResponse[field] = req.body[field];
+    }
+    cannedResponse.updatedBy = req.user.username;
+    await cannedResponse.save();
+
+    await auditChange('update', 'canned-response', req, { before, after: cannedResponse });
+
+    res.json({ success: true, message: 'Canned response updated', cannedResponse });
+  } catch (error) {
+    if (duplicateTitle(error)) {
+      return res.status(409).json({ success: false, message: 'A canned response with this title already exists' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update canned response', error: error.message });
+  }
+};
+
+exports.deleteCannedResponse = async (req, res) => {
+  try {
+    const cannedResponse = await CannedResponse.findByIdAndDelete(req.params.id);
+    if (!cannedResponse) return res.status(404).json({ success: false, message: 'Canned response not found' });
+    await auditChange('delete', 'canned-response', req, { before: cannedResponse });
+    res.json({ success: true, message: 'Canned response deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete canned response', error: error.message });
+  }
+};
+
+// Render a response for a contact and show the email it would send (POST /api/canned-responses/:id/preview)
+exports.previewCannedResponse = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const loaded = await loadForContact(req, res);
+    if (!loaded) return;
+    const { cannedResponse, contact } = loaded;
+
+    const adminName = req.body.signature || await senderName(req.user);
+    const rendered = cannedResponse.render(contact, adminName);
+    const email = emailService.previewContactReply(contact, {
+      subject: rendered.subject,
+      message: rendered.body,
+      adminName
+    });
+
+    await logAudit('read', 'contact', contact._id, req, { view: 'canned-response-preview', cannedResponseId: cannedResponse._id });
+
+    res.json({
+      success: true,
+      preview: {
+        to: contact.email,
+        subject: email.subject,
+        body: rendered.body,
+        text: email.text,
+        html: email.html
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to preview canned response', error: error.message });
+  }
+};
+
+// Render a response for a contact and send it as a reply (POST /api/canned-responses/:id/send)
+exports.sendCannedResponse = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const loaded = await loadForContact(req, res);
+    if (!loaded) return;
+    const { cannedResponse, contact } = loaded;
+
+    const adminName = req.body.signature || await senderName(req.user);
+    const rendered = cannedResponse.render(contact, adminName);
+
+    const result = await sendContactReply(contact, {
+      message: rendered.body,
+      subject: rendered.subject,
+      signature: req.body.signature,
+      status: req.body.status
+    }, req.user);
+
+    if (!result.sent) {
+      return res.status(500).json({ success: false, message: 'Failed to send reply', error: result.error.message, reply: result.reply });
+    }
+
+    await cannedResponse.recordUsage();
+    await auditChange('reply', 'contact', req, {
+      before: result.before,
+      after: result.contact,
+      details: { messageId: result.reply.messageId, cannedResponseId: cannedResponse._id }
+    });
+
+    res.status(201).json({ success: true, message: 'Reply sent', reply: result.reply, contact: result.contact });
+  } catch (error) {
+    console.error('❌ Canned response send error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send canned response', error: error.message });
+  }
+};
@@ -1,30 +1,113 @@
 const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Contact = require('../models/Contact');
+const ContactMessage = require('../models/ContactMessage');
+const AdminUser = require('../models/AdminUser');
+const Person = require('../models/Person');
 const emailService = require('../utils/emailService');
+const { ingestRawEmail } = require('../utils/inboundEmail');
+const { sendContactReply } = require('../utils/contactReply');
+const { logAudit, auditChange, diffDocuments, snapshot } = require('../utils/auditService');
+const { userHasPermission } = require('../utils/permissions');
+const {
+  removeUploadedFiles,
+  toAttachmentRecords,
+  attachmentPath,
+  mailAttachments,
+  removeContactAttachments
+} = require('../utils/contactAttachments');
+const {
+  createSpamPipeline,
+  honeypotCheck,
+  timeToSubmitCheck,
+  submissionThrottleCheck,
+  linkCountCheck,
+  keywordCheck,
+  disposableEmailCheck,
+  captchaCheck,
+  issueFormToken
+} = require('../utils/antiSpam');
+
+// Checks run on every public submission. Exported so deployments can `.use()` extra checks.
+const contactSpamPipeline = createSpamPipeline([
+  honeypotCheck('website'),
+  timeToSubmitCheck('formToken'),
+  submissionThrottleCheck(Contact, { field: 'email', max: parseInt(process.env.CONTACT_MAX_PER_EMAIL_PER_HOUR) || 3 }),
+  submissionThrottleCheck(Contact, { field: 'ip', max: parseInt(process.env.CONTACT_MAX_PER_IP_PER_HOUR) || 5 }),
+  linkCountCheck(['subject', 'message']),
+  keywordCheck(['subject', 'message']),
+  disposableEmailCheck(),
+  captchaCheck('captchaToken')
+]);
+exports.contactSpamPipeline = contactSpamPipeline;
+
+// Signed timestamp the form sends back, used by the time-to-submit check
+exports.getFormToken = (req, res) => {
+  try {
+    res.json({ success: true, formToken: issueFormToken() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to issue form token', error: error.message });
+  }
+};
 
 exports.createContact = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
+    removeUploadedFiles(req.files);
     return res.status(400).json({ success: false, errors: errors.array() });
   }
   try {
+    const { name, email, mobile, subject, message } = req.body;
+    const ip = req.ip || req.connection?.remoteAddress;
+    const userAgent = (req.get('user-agent') || '').slice(0, 500);
+
+    const spam = await contactSpamPipeline.evaluate({
+      name,
+      email: String(email || '').toLowerCase(),
+      mobile,
+      subject,
+      message,
+      ip,
+      userAgent,
+      body: req.body
+    });
+
+    // Suspected spam is kept for review, but its uploads are not
+    if (spam.isSpam) removeUploadedFiles(req.files);
+
     // Create contact with initial email status
     const contactData = {
-      ...req.body,
+      name,
+      email,
+      mobile,
+      subject,
+      message,
+      ip,
+      userAgent,
+      spamScore: spam.score,
+      spamReasons: spam.reasons,
+      attachments: spam.isSpam ? [] : toAttachmentRecords(req.files),
+      status: spam.isSpam ? 'spam' : 'pending',
       emailSent: false
     };
     
     const contact = new Contact(contactData);
     await contact.save();
     console.log('✅ Contact saved to database:', contact._id);
+    Person.track(contact.email);
     
     let emailStatus = 'pending';
     let emailError = null;
+
+    if (spam.isSpam) {
+      console.warn(`🚫 Contact ${contact._id} flagged as spam (score ${spam.score}: ${spam.reasons.join(', ')})`);
+    }
     
-    // Try to send emails in background, but don't fail the request
+    // Try to send emails in background, but don't fail the request. Suspected spam gets no emails.
     setImmediate(async () => {
+      if (spam.isSpam) return;
       try {
-        await emailService.sendContactNotification(contact);
+        await emailService.sendContactNotification(contact, mailAttachments(contact));
         await emailService.sendContactConfirmation(contact);
         
         // Update email status only if emails are sent successfully
@@ -50,21 +133,176 @@ exports.createContact = async (req, res) => {
         name: contact.name,
         email: contact.email,
         subject: contact.subject,
-        status: contact.status,
+        status: spam.isSpam ? 'pending' : contact.status,
         createdAt: contact.createdAt
       },
       emailStatus: emailStatus
     });
   } catch (error) {
+    removeUploadedFiles(req.files);
     console.error('❌ Contact submission error:', error);
     res.status(500).json({ success: false, message: 'Failed to submit contact', error: error.message });
   }
 };
 
+// Fields the inbox can be sorted by. All are always set, which keeps cursor pagination simple.
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'email', 'subject', 'status'];
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt'];
+exports.SORT_FIELDS = SORT_FIELDS;
+
+// Keys buildContactFilter understands; anything else would be silently ignored
+const FILTER_KEYS = ['status', 'priority', 'emailSent', 'from', 'to', 'assignedTo', 'tag', 'overdue', 'breached', 'search'];
+
+// Translate inbox query params into a Mongo filter. `status`, `priority` and `tag` accept
+// comma-separated lists; `assignedTo` accepts an admin ID, `me` or `none`.
+const buildContactFilter = (q, user) => {
+  const filter = {};
+  const and = [];
+  const list = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+  if (q.status) {
+    const statuses = list(q.status);
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+  if (q.priority) {
+    const priorities = list(q.priority);
+    filter.priority = priorities.length === 1 ? priorities[0] : { $in: priorities };
+  }
+  if (q.emailSent !== undefined) {
+    filter.emailSent = q.emailSent === 'true';
+  }
+  if (q.from || q.to) {
+    filter.createdAt = {};
+    if (q.from) filter.createdAt.$gte = new Date(q.from);
+    if (q.to) filter.createdAt.$lte = new Date(q.to);
+  }
+  if (q.assignedTo) {
+    if (q.assignedTo === 'none') {
+      filter.assignedTo = { $exists: false };
+    } else {
+      filter.assignedTo = q.assignedTo === 'me' ? user?.id : q.assignedTo;
+    }
+  }
+  if (q.tag) {
+    filter.tags = { $in: list(q.tag).map(tag => tag.toLowerCase()) };
+  }
+  if (q.overdue === 'true') {
+    and.push(Contact.overdueFilter());
+  }
+  if (q.breached === 'true') {
+    and.push(Contact.breachedFilter());
+  }
+  if (q.search) {
+    filter.$text = { $search: q.search };
+  }
+
+  if (and.length) filter.$and = and;
+  return filter;
+};
+exports.buildContactFilter = buildContactFilter;
+
+// Cursors point at the last contact of the previous page: [sort value, id], base64url encoded JSON
+const encodeCursor = (contact, sortBy) => {
+  const value = contact[sortBy] instanceof Date ? contact[sortBy].getTime() : contact[sortBy];
+  return Buffer.from(JSON.stringify([value, contact._id.toString()])).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortBy) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (value === undefined || value === null || !mongoose.isValidObjectId(id)) return null;
+    const sortValue = DATE_SORT_FIELDS.includes(sortBy) ? new Date(value) : value;
+    if (sortValue instanceof Date && Number.isNaN(sortValue.getTime())) return null;
+    return { value: sortValue, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Contacts on one side of a cursor: after it with $gt/$lt, or up to and including it with $lte/$gte
+const cursorFilter = (filter, sortBy, cursor, op) => {
+  const strictOp = op.slice(0, 3);
+  return {
+    ...filter,
+    $and: [
+      ...(filter.$and || []),
+      {
+        $or: [
+          { [sortBy]: { [strictOp]: cursor.value } },
+          { [sortBy]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }
+    ]
+  };
+};
+
 exports.getAllContacts = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
   try {
-    const contacts = await Contact.find().sort({ createdAt: -1 });
-    res.json({ success: true, contacts });
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = buildContactFilter(req.query, req.user);
+    const searching = Boolean(req.query.search);
+
+    // Search results are ranked by relevance unless a sort field is given explicitly
+    const sortBy = req.query.sortBy || (searching ? null : 'createdAt');
+    const direction = req.query.order === 'asc' ? 1 : -1;
+    const sort = sortBy
+      ? { [sortBy]: direction, _id: direction }
+      : { score: { $meta: 'textScore' }, createdAt: -1 };
+
+    const total = await Contact.countDocuments(filter);
+    let contacts;
+    let hasPrev = page > 1;
+
+    if (req.query.cursor) {
+      if (!sortBy) {
+        return res.status(400).json({ success: false, message: 'Cursor pagination requires a sortBy field when searching' });
+      }
+      const cursor = decodeCursor(req.query.cursor, sortBy);
+      if (!cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+      }
+
+      const forward = direction === 1 ? '$gt' : '$lt';
+      const backward = direction === 1 ? '$lte' : '$gte';
+      [contacts, hasPrev] = await Promise.all([
+        Contact.find(cursorFilter(filter, sortBy, cursor, forward)).sort(sort).limit(limit + 1),
+        Contact.exists(cursorFilter(filter, sortBy, cursor, backward)).then(Boolean)
+      ]);
+    } else {
+      const projection = sortBy ? null : { score: { $meta: 'textScore' } };
+      contacts = await Contact.find(filter, projection)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit + 1);
+    }
+
+    // One extra row tells us whether another page exists
+    const hasNext = contacts.length > limit;
+    if (hasNext) contacts = contacts.slice(0, limit);
+
+    const totalPages = Math.ceil(total / limit);
+    const usingCursor = Boolean(req.query.cursor);
+
+    await logAudit('read', 'contact', undefined, req, { count: contacts.length, filter: req.query });
+
+    res.json({
+      success: true,
+      contacts,
+      pagination: {
+        currentPage: usingCursor ? null : page,
+        totalPages,
+        totalContacts: total,
+        hasNext,
+        hasPrev,
+        nextCursor: hasNext && sortBy ? encodeCursor(contacts[contacts.length - 1], sortBy) : null
+      }
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to fetch contacts', error: error.message });
   }
@@ -74,41 +312,88 @@ exports.getContactById = async (req, res) => {
   try {
     const contact = await Contact.findById(req.params.id);
     if (!contact) return res.status(404).json({ success: false, message: 'Contact not found' });
+    await logAudit('read', 'contact', contact._id, req, { email: contact.email });
     res.json({ success: true, contact });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to fetch contact', error: error.message });
   }
 };
 
+const contactUrl = (contact) => {
+  const base = (process.env.ADMIN_APP_URL || 'http://localhost:5173/admin').replace(/\/+$/, '');
+  return `${base}/contacts/${contact._id}`;
+};
+
+// Let the new assignee know, unless they assigned it to themselves
+const notifyAssignee = (contact, assignee, req) => {
+  if (!assignee || String(assignee._id) === String(req.user.id)) return;
+  emailService.sendContactAssignment(contact, assignee, req.user.username, contactUrl(contact))
+    .catch(err => console.error('Failed to send assignment email:', err.message));
+};
+
 exports.updateContact = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
   try {
     console.log('🔄 Updating contact:', req.params.id, 'with data:', req.body);
 
     const updateData = {};
+    const unsetData = {};
     if (req.body.status) updateData.status = req.body.status;
     if (req.body.adminNotes !== undefined) updateData.adminNotes = req.body.adminNotes;
     if (req.body.priority) updateData.priority = req.body.priority;
+    if (req.body.tags !== undefined) updateData.tags = [...new Set(req.body.tags.map(tag => tag.trim().toLowerCase()))];
+
+    let assignee = null;
+    if (req.body.assignedTo === null || req.body.assignedTo === '') {
+      unsetData.assignedTo = 1;
+      unsetData.assignedAt = 1;
+    } else if (req.body.assignedTo) {
+      assignee = await AdminUser.findById(req.body.assignedTo);
+      if (!assignee || !assignee.active) {
+        return res.status(400).json({ success: false, message: 'Assignee must be an active admin user' });
+      }
+      updateData.assignedTo = assignee._id;
+    }
 
-    // Update timestamps based on status
-    if (req.body.status === 'review') {
+    const before = await Contact.findById(req.params.id);
+
+    if (!before) {
+      console.log('❌ Contact not found:', req.params.id);
+      return res.status(404).json({ success: false, message: 'Contact not found' });
+    }
+
+    // Update timestamps based on status. The first response is kept, since SLA reporting measures it.
+    if (Contact.RESPONDED_STATUSES.includes(req.body.status) && !before.respondedAt) {
       updateData.respondedAt = new Date();
-    } else if (req.body.status === 'done') {
+    }
+    if (req.body.status === 'done') {
       updateData.completedAt = new Date();
     }
 
+    if (updateData.priority && updateData.priority !== before.priority) {
+      updateData.firstResponseDue = Contact.firstResponseDueFor(updateData.priority, before.createdAt);
+    }
+
+    const reassigned = assignee && String(before.assignedTo) !== String(assignee._id);
+    if (reassigned) updateData.assignedAt = new Date();
+
     const contact = await Contact.findByIdAndUpdate(
       req.params.id,
-      { $set: updateData },
-      { new: true }
+      { $set: updateData, ...(Object.keys(unsetData).length && { $unset: unsetData }) },
+      { new: true, runValidators: true }
     );
 
-    if (!contact) {
-      console.log('❌ Contact not found:', req.params.id);
-      return res.status(404).json({ success: false, message: 'Contact not found' });
-    }
-
     console.log('✅ Contact updated successfully:', contact._id);
 
+    if (reassigned) notifyAssignee(contact, assignee, req);
+
+    const statusChanged = before.status !== contact.status;
+    await auditChange(statusChanged ? 'status-change' : 'update', 'contact', req, { before, after: contact });
+
     res.json({ success: true, message: 'Contact updated', contact });
   } catch (error) {
     console.error('❌ Update contact error:', error);
@@ -116,21 +401,542 @@ exports.updateContact = async (req, res) => {
   }
 };
 
+exports.getContactMessages = async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+    if (!contact) return res.status(404).json({ success: false, message: 'Contact not found' });
+
+    const messages = await ContactMessage.getThread(contact._id);
+    await logAudit('read', 'contact', contact._id, req, { view: 'messages', count: messages.length });
+    res.json({ success: true, contact, messages });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch messages', error: error.message });
+  }
+};
+
+// Stream an attachment to an authenticated admin (GET /api/contact/:id/attachments/:attachmentId)
+exports.downloadAttachment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const contact = await Contact.findById(req.params.id);
+    const attachment = contact?.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ success: false, message: 'Attachment not found' });
+
+    await logAudit('read', 'contact', contact._id, req, { view: 'attachment', attachment: attachment.originalName });
+
+    // Always a download, never rendered inline, so an uploaded file can't run in our origin
+    res.download(attachmentPath(attachment), attachment.originalName, {
+      headers: { 'Content-Type': attachment.mimeType, 'X-Content-Type-Options': 'nosniff' }
+    }, (err) => {
+      if (err && !res.headersSent) {
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({ success: false, message: 'Attachment file is missing', error: err.message });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to download attachment', error: error.message });
+  }
+};
+
+// Email a reply to the contact and store it in the thread (POST /api/contact/:id/reply)
+exports.replyToContact = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const contact = await Contact.findById(req.params.id);
+    if (!contact) return res.status(404).json({ success: false, message: 'Contact not found' });
+
+    const result = await sendContactReply(contact, {
+      message: req.body.message,
+      subject: req.body.subject,
+      signature: req.body.signature,
+      status: req.body.status
+    }, req.user);
+
+    if (!result.sent) {
+      return res.status(500).json({ success: false, message: 'Failed to send reply', error: result.error.message, reply: result.reply });
+    }
+
+    await auditChange('reply', 'contact', req, {
+      before: result.before,
+      after: result.contact,
+      details: { messageId: result.reply.messageId }
+    });
+
+    res.status(201).json({ success: true, message: 'Reply sent', reply: result.reply, contact: result.contact });
+  } catch (error) {
+    console.error('❌ Contact reply error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send reply', error: error.message });
+  }
+};
+
+// Accept a raw RFC 822 message, e.g. posted by the MTA, and file it on its contact thread
+exports.ingestEmail = async (req, res) => {
+  const raw = Buffer.isBuffer(req.body) ? req.body : null;
+  if (!raw || raw.length === 0) {
+    return res.status(400).json({ success: false, message: 'Raw message body is required (Content-Type: message/rfc822)' });
+  }
+
+  try {
+    const result = await ingestRawEmail(raw, req);
+
+    res.status(result.outcome === 'duplicate' ? 200 : 201).json({
+      success: true,
+      message: `Email ${result.outcome}`,
+      outcome: result.outcome,
+      contactId: result.contact?._id,
+      messageId: result.message?._id
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.message === 'Message has no From address') {
+      return res.status(422).json({ success: false, message: 'Email could not be filed', error: error.message });
+    }
+    console.error('❌ Inbound email error:', error);
+    res.status(500).json({ success: false, message: 'Failed to ingest email', error: error.message });
+  }
+};
+
+const BULK_BATCH_SIZE = 100;
+const BULK_MAX_CONTACTS = 1000;
+
+// Apply one bulk action to a loaded contact. Status changes go through updateStatus so
+// respondedAt/completedAt are stamped exactly as for single updates.
+const applyBulkAction = async (contact, action, value) => {
+  switch (action) {
+    case 'set-status':
+      return contact.updateStatus(value);
+    case 'mark-spam':
+      return contact.updateStatus('spam');
+    case 'set-priority':
+      contact.priority = value;
+      return contact.save();
+    case 'assign':
+      if (value) {
+        contact.assignedTo = value;
+        contact.assignedAt = new Date();
+      } else {
+        contact.assignedTo = undefined;
+        contact.assignedAt = undefined;
+      }
+      return contact.save();
+    case 'tag':
+      contact.tags = [...new Set([...(contact.tags || []), ...value.map(tag => tag.trim().toLowerCase())])];
+      return contact.save();
+    case 'delete':
+      await contact.deleteOne();
+      removeContactAttachments(contact);
+      Person.track(contact.email);
+      return ContactMessage.deleteMany({ contactId: contact._id });
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+};
+
+// Apply one action to many contacts, picked by `ids` or by an inbox `filter` (POST /api/contact/bulk).
+// Runs in batches of 100 with one audit entry per batch and reports the outcome for every id.
+exports.bulkUpdateContacts = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { action, value, ids, filter } = req.body;
+
+  if (action === 'delete' && !userHasPermission(req.user, 'contacts:delete')) {
+    return res.status(403).json({ success: false, message: 'Missing permission: contacts:delete', permission: 'contacts:delete' });
+  }
+
+  try {
+    let assignee = null;
+    if (action === 'assign' && value) {
+      assignee = await AdminUser.findById(value);
+      if (!assignee || !assignee.active) {
+        return res.status(400).json({ success: false, message: 'Assignee must be an active admin user' });
+      }
+    }
+
+    let targetIds;
+    let truncated = false;
+    if (ids) {
+      targetIds = [...new Set(ids.map(String))];
+    } else {
+      const unknown = Object.keys(filter).filter(key => !FILTER_KEYS.includes(key));
+      if (unknown.length) {
+        return res.status(400).json({ success: false, message: `Unknown filter keys: ${unknown.join(', ')}`, allowedFilters: FILTER_KEYS });
+      }
+
+      // Filters take the same (string) values as the inbox query string
+      const query = Object.fromEntries(Object.entries(filter).map(([key, v]) => [key, String(v)]));
+      const mongoFilter = buildContactFilter(query, req.user);
+      // e.g. { overdue: 'false' } narrows nothing and would match every contact
+      if (!Object.keys(mongoFilter).length) {
+        return res.status(400).json({ success: false, message: 'Filter does not narrow the selection' });
+      }
+
+      const matches = await Contact.find(mongoFilter)
+        .sort({ createdAt: -1 })
+        .limit(BULK_MAX_CONTACTS + 1)
+        .select('_id');
+      truncated = matches.length > BULK_MAX_CONTACTS;
+      targetIds = matches.slice(0, BULK_MAX_CONTACTS).map(c => c._id.toString());
+    }
+
+    const results = [];
+
+    for (let i = 0; i < targetIds.length; i += BULK_BATCH_SIZE) {
+      const batchIds = targetIds.slice(i, i + BULK_BATCH_SIZE);
+      const contacts = await Contact.find({ _id: { $in: batchIds } });
+      const byId = new Map(contacts.map(c => [c._id.toString(), c]));
+      const batchResults = [];
+
+      for (const id of batchIds) {
+        const contact = byId.get(id);
+        if (!contact) {
+          batchResults.push({ id, success: false, error: 'Contact not found' });
+          continue;
+        }
+
+        const before = snapshot(contact);
+        const previousAssignee = contact.assignedTo?.toString();
+        try {
+          await applyBulkAction(contact, action, value);
+          const changes = action === 'delete' ? undefined : diffDocuments(before, contact);
+          batchResults.push({ id, success: true, changes });
+
+          if (assignee && previousAssignee !== assignee._id.toString()) {
+            notifyAssignee(contact, assignee, req);
+          }
+        } catch (err) {
+          batchResults.push({ id, success: false, error: err.message });
+        }
+      }
+
+      await logAudit('bulk', 'contact', undefined, req, {
+        operation: action,
+        value,
+        batch: i / BULK_BATCH_SIZE + 1,
+        succeeded: batchResults.filter(r => r.success).length,
+        failed: batchResults.filter(r => !r.success).length,
+        results: batchResults
+      });
+
+      results.push(...batchResults.map(({ changes, ...result }) => result));
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+
+    res.json({
+      success: true,
+      message: `${action} applied to ${succeeded} of ${results.length} contacts`,
+      action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      truncated,
+      results
+    });
+  } catch (error) {
+    console.error('❌ Bulk contact update error:', error);
+    res.status(500).json({ success: false, message: 'Failed to apply bulk action', error: error.message });
+  }
+};
+
 exports.deleteContact = async (req, res) => {
   try {
     const contact = await Contact.findByIdAndDelete(req.params.id);
     if (!contact) return res.status(404).json({ success: false, message: 'Contact not found' });
+    removeContactAttachments(contact);
+    Person.track(contact.email);
+    await ContactMessage.deleteMany({ contactId: contact._id });
+    await auditChange('delete', 'contact', req, { before: contact });
     res.json({ success: true, message: 'Contact deleted' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to delete contact', error: error.message });
   }
 };
 
+// SLA compliance per priority plus the contacts currently overdue (GET /api/contact/sla)
+exports.getSlaReport = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const now = new Date();
+    const targets = Contact.getSlaTargets();
+    const scope = req.query.assignedTo ? buildContactFilter({ assignedTo: req.query.assignedTo }, req.user) : {};
+    // Aggregation doesn't cast like find() does, so the id must already be an ObjectId
+    if (typeof scope.assignedTo === 'string') scope.assignedTo = new mongoose.Types.ObjectId(scope.assignedTo);
+
+    // Each count uses the model's own filter, so the report agrees with the `breached` virtual
+    const countByPriority = (filter) => [{ $match: filter }, { $group: { _id: '$priority', count: { $sum: 1 } } }];
+    const [facets] = await Contact.aggregate([
+      { $match: { ...scope, status: { $ne: 'spam' }, firstResponseDue: { $exists: true } } },
+      {
+        $facet: {
+          total: countByPriority({}),
+          awaitingResponse: countByPriority(Contact.awaitingResponseFilter()),
+          overdue: countByPriority(Contact.overdueFilter(now)),
+          respondedOnTime: countByPriority(Contact.respondedOnTimeFilter()),
+          respondedLate: countByPriority(Contact.respondedLateFilter())
+        }
+      }
+    ]);
+
+    const byPriority = Object.entries(targets).map(([priority, targetHours]) => {
+      const row = Object.fromEntries(Object.entries(facets).map(([key, counts]) =>
+        [key, counts.find(c => c._id === priority)?.count]));
+      const responded = (row.respondedOnTime || 0) + (row.respondedLate || 0);
+      return {
+        priority,
+        targetHours,
+        total: row.total || 0,
+        awaitingResponse: row.awaitingResponse || 0,
+        overdue: row.overdue || 0,
+        respondedOnTime: row.respondedOnTime || 0,
+        respondedLate: row.respondedLate || 0,
+        complianceRate: responded ? Math.round((row.respondedOnTime || 0) / responded * 1000) / 10 : null
+      };
+    });
+
+    const overdue = await Contact.find({ ...scope, ...Contact.overdueFilter(now) })
+      .sort({ firstResponseDue: 1 })
+      .limit(parseInt(req.query.limit) || 50)
+      .select('name email subject status priority assignedTo tags createdAt firstResponseDue');
+
+    await logAudit('read', 'contact', undefined, req, { view: 'sla' });
+
+    res.json({ success: true, generatedAt: now, targets, byPriority, overdue });
+  } catch (error) {
+    console.error('❌ Contact SLA report error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build SLA report', error: error.message });
+  }
+};
+
+const DEFAULT_RANGE_DAYS = { day: 90, week: 182, month: 365 };
+
+// Subject keyword clusters; a subject counts towards every cluster it mentions
+const SUBJECT_CLUSTERS = {
+  pricing: ['price', 'pricing', 'quote', 'cost', 'budget', 'rate', 'rates', 'estimate', 'invoice'],
+  project: ['project', 'website', 'site', 'app', 'application', 'build', 'development', 'develop', 'mvp'],
+  collaboration: ['collab', 'collaboration', 'collaborate', 'partner', 'partnership', 'together'],
+  hiring: ['job', 'hire', 'hiring', 'position', 'role', 'opportunity', 'freelance', 'contract', 'interview'],
+  speaking: ['talk', 'speaking', 'speaker', 'podcast', 'conference', 'meetup', 'workshop'],
+  support: ['help', 'issue', 'bug', 'problem', 'support', 'error', 'question']
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'about', 'for', 'from', 'hello', 'hi', 'i', 'in', 'is', 'it', 'me', 'my',
+  'of', 'on', 'or', 're', 'the', 'to', 'with', 'you', 'your', 'we', 'our', 'can', 'regarding'
+]);
+
+const subjectWords = (subject) => String(subject || '').toLowerCase().match(/[a-z][a-z0-9'-]+/g) || [];
+
+// Nearest-rank percentile of a list of milliseconds, reported in hours
+const percentileHours = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return Math.round(sorted[Math.max(0, index)] / 36e4) / 10;
+};
+
+const durationSummary = (values) => ({
+  count: values.length,
+  medianHours: percentileHours(values, 50),
+  p90Hours: percentileHours(values, 90)
+});
+
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+exports.isValidTimezone = isValidTimezone;
+
+const MAX_TIMESERIES_BUCKETS = 1000;
+
+// Calendar date and weekday (0 = Sunday) of an instant in a timezone
+const localDate = (date, timezone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'short'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday);
+  return { year: Number(parts.year), month: Number(parts.month) - 1, day: Number(parts.day), weekday };
+};
+
+// How far a timezone's wall clock is ahead of UTC at an instant, in ms
+const timezoneOffsetMs = (instant, timezone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(instant)).map(part => [part.type, part.value]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+};
+
+// The instant local midnight starts on a calendar date; month and day may overflow like Date.UTC
+const localMidnight = (year, month, day, timezone) => {
+  const wallClock = Date.UTC(year, month, day);
+  const guess = wallClock - timezoneOffsetMs(wallClock, timezone);
+  return new Date(wallClock - timezoneOffsetMs(guess, timezone));
+};
+
+// Every bucket start between from and to, matching $dateTrunc with weeks starting on Monday
+const bucketStarts = (from, to, interval, timezone) => {
+  const { year, month, day, weekday } = localDate(from, timezone);
+  const first = {
+    day: [year, month, day],
+    week: [year, month, day - ((weekday + 6) % 7)],
+    month: [year, month, 1]
+  }[interval];
+
+  const starts = [];
+  for (let i = 0; starts.length <= MAX_TIMESERIES_BUCKETS; i++) {
+    const [y, m, d] = first;
+    const start = interval === 'month'
+      ? localMidnight(y, m + i, 1, timezone)
+      : localMidnight(y, m, d + i * (interval === 'week' ? 7 : 1), timezone);
+    if (start > to) break;
+    starts.push(start);
+  }
+  return starts;
+};
+
+// Inbound volume and responsiveness over time (GET /api/contact/stats/timeseries). Every bucket
+// in the range is returned, empty ones with a count of 0. Needs MongoDB 5.0+ for $dateTrunc.
+exports.getContactTimeseries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const interval = req.query.interval || 'day';
+    const timezone = req.query.timezone || 'UTC';
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - DEFAULT_RANGE_DAYS[interval] * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({ success: false, message: 'from must not be after to' });
+    }
+
+    const starts = bucketStarts(from, to, interval, timezone);
+    if (starts.length > MAX_TIMESERIES_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `Range is too long; at most ${MAX_TIMESERIES_BUCKETS} ${interval} buckets can be returned`
+      });
+    }
+
+    const filter = buildContactFilter({ status: req.query.status, priority: req.query.priority }, req.user);
+    filter.createdAt = { $gte: from, $lte: to };
+    // Spam would drown out real volume, so it is only counted when asked for
+    if (!req.query.status) filter.status = { $ne: 'spam' };
+
+    const rows = await Contact.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          subject: 1,
+          bucket: { $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' } },
+          responseMs: { $cond: ['$respondedAt', { $subtract: ['$respondedAt', '$createdAt'] }, null] },
+          completionMs: { $cond: ['$completedAt', { $subtract: ['$completedAt', '$createdAt'] }, null] }
+        }
+      },
+      {
+        $group: {
+          _id: '$bucket',
+          count: { $sum: 1 },
+          responseMs: { $push: '$responseMs' },
+          completionMs: { $push: '$completionMs' },
+          subjects: { $push: '$subject' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const allResponses = [];
+    const allCompletions = [];
+    const clusters = Object.fromEntries([...Object.keys(SUBJECT_CLUSTERS), 'other'].map(name => [name, 0]));
+    const keywordCounts = new Map();
+
+    const rowsByStart = new Map(rows.map(row => [row._id.getTime(), row]));
+    const emptyRow = { count: 0, responseMs: [], completionMs: [], subjects: [] };
+
+    const buckets = starts.map(start => {
+      const row = rowsByStart.get(start.getTime()) || emptyRow;
+      const responses = row.responseMs.filter(ms => ms !== null && ms >= 0);
+      const completions = row.completionMs.filter(ms => ms !== null && ms >= 0);
+      allResponses.push(...responses);
+      allCompletions.push(...completions);
+
+      for (const subject of row.subjects) {
+        const words = subjectWords(subject);
+        const matched = Object.entries(SUBJECT_CLUSTERS)
+          .filter(([, keywords]) => words.some(word => keywords.includes(word)))
+          .map(([name]) => name);
+
+        (matched.length ? matched : ['other']).forEach(name => { clusters[name] += 1; });
+        for (const word of new Set(words)) {
+          if (!STOP_WORDS.has(word)) keywordCounts.set(word, (keywordCounts.get(word) || 0) + 1);
+        }
+      }
+
+      return {
+        start,
+        count: row.count,
+        firstResponse: durationSummary(responses),
+        completion: durationSummary(completions)
+      };
+    });
+
+    const topKeywords = [...keywordCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 20)
+      .map(([keyword, count]) => ({ keyword, count }));
+
+    await logAudit('read', 'contact', undefined, req, { view: 'timeseries', interval });
+
+    res.json({
+      success: true,
+      interval,
+      timezone,
+      from,
+      to,
+      total: buckets.reduce((sum, bucket) => sum + bucket.count, 0),
+      buckets,
+      firstResponse: durationSummary(allResponses),
+      completion: durationSummary(allCompletions),
+      subjectClusters: clusters,
+      topKeywords
+    });
+  } catch (error) {
+    console.error('❌ Contact timeseries error:', error);
+    if (/\$dateTrunc/.test(error.message)) {
+      return res.status(501).json({ success: false, message: 'Contact timeseries need MongoDB 5.0 or later', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to fetch contact timeseries', error: error.message });
+  }
+};
+
 exports.getContactStats = async (req, res) => {
   try {
     console.log('📊 Fetching contact stats...');
     const stats = await Contact.getStats();
     console.log('✅ Stats fetched:', stats);
+    await logAudit('read', 'contact', undefined, req, { view: 'stats' });
     res.json({ success: true, stats });
   } catch (error) {
     console.error('❌ Contact stats error:', error);
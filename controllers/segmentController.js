@@ -0,0 +1,154 @@
+const { validationResult } = require('express-validator');
+const Segment = require('../models/Segment');
+const Campaign = require('../models/Campaign');
+const Subscription = require('../models/Subscription');
+const { logAudit, auditChange, snapshot } = require('../utils/auditService');
+
+const EDITABLE_FIELDS = ['name', 'description', 'rules'];
+const SAMPLE_FIELDS = 'email firstName lastName status source preferences createdAt';
+
+const notFound = (res) => res.status(404).json({ success: false, message: 'Segment not found' });
+
+const duplicateName = (error) => error.code === 11000;
+
+// Count and newest members for a rule set
+const sampleMembers = async (rules, sampleSize) => {
+  const query = await Segment.compileRules(rules);
+  const [count, sample] = await Promise.all([
+    Subscription.countDocuments(query),
+    Subscription.find(query).select(SAMPLE_FIELDS).sort({ createdAt: -1 }).limit(sampleSize)
+  ]);
+  return { count, sample };
+};
+
+exports.getAllSegments = async (req, res) => {
+  try {
+    const segments = await Segment.find().sort({ name: 1 });
+    res.json({ success: true, segments });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch segments', error: error.message });
+  }
+};
+
+exports.getSegmentById = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const segment = await Segment.findById(req.params.id);
+    if (!segment) return notFound(res);
+    res.json({ success: true, segment });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch segment', error: error.message });
+  }
+};
+
+exports.createSegment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const data = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    const segment = await Segment.create({ ...data, createdBy: req.user.username });
+
+    await auditChange('create', 'segment', req, { after: segment });
+
+    res.status(201).json({ success: true, message: 'Segment created', segment });
+  } catch (error) {
+    if (duplicateName(error)) {
+      return res.status(409).json({ success: false, message: 'A segment with this name already exists' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to create segment', error: error.message });
+  }
+};
+
+exports.updateSegment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const segment = await Segment.findById(req.params.id);
+    if (!segment) return notFound(res);
+
+    const before = snapshot(segment);
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) segment[field] = req.body[field];
+    }
+    segment.updatedBy = req.user.username;
+    await segment.save();
+
+    await auditChange('update', 'segment', req, { before, after: segment });
+
+    res.json({ success: true, message: 'Segment updated', segment });
+  } catch (error) {
+    if (duplicateName(error)) {
+      return res.status(409).json({ success: false, message: 'A segment with this name already exists' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update segment', error: error.message });
+  }
+};
+
+// Segments used by a campaign that hasn't finished can't be deleted
+exports.deleteSegment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const inUse = await Campaign.countDocuments({ segmentId: req.params.id, status: { $in: ['draft', 'scheduled', 'sending'] } });
+    if (inUse) {
+      return res.status(409).json({ success: false, message: `Segment is used by ${inUse} unsent campaign(s)` });
+    }
+
+    const segment = await Segment.findByIdAndDelete(req.params.id);
+    if (!segment) return notFound(res);
+    await auditChange('delete', 'segment', req, { before: segment });
+    res.json({ success: true, message: 'Segment deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete segment', error: error.message });
+  }
+};
+
+// Member count and a sample for a saved segment (GET /api/segments/:id/preview)
+exports.previewSegment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const segment = await Segment.findById(req.params.id);
+    if (!segment) return notFound(res);
+
+    const preview = await sampleMembers(segment.rules, parseInt(req.query.sample) || 10);
+    await logAudit('read', 'segment', segment._id, req, { view: 'preview', count: preview.count });
+
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to preview segment', error: error.message });
+  }
+};
+
+// Member count and a sample for unsaved rules, for building a segment (POST /api/segments/preview)
+exports.previewRules = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const preview = await sampleMembers(req.body.rules || {}, parseInt(req.body.sample) || 10);
+    await logAudit('read', 'segment', undefined, req, { view: 'preview', count: preview.count });
+
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to preview segment', error: error.message });
+  }
+};
@@ -1,7 +1,31 @@
 const { validationResult } = require('express-validator');
 const Subscription = require('../models/Subscription');
+const Person = require('../models/Person');
 const emailService = require('../utils/emailService');
+const { logAudit, auditChange, snapshot } = require('../utils/auditService');
+const { signSubscriptionToken, findByToken, siteLink } = require('../utils/subscriptionTokens');
 
+const CONFIRM_TOKEN_TTL_HOURS = parseInt(process.env.SUBSCRIPTION_CONFIRM_TTL_HOURS) || 48;
+const CONFIRM_RESEND_MINUTES = 5;
+const PAUSE_DAYS = 30;
+
+// What the preference center shows and edits
+const preferenceView = (subscription) => ({
+  email: subscription.email,
+  firstName: subscription.firstName,
+  lastName: subscription.lastName,
+  status: subscription.status,
+  preferences: {
+    newsletters: subscription.preferences?.newsletters,
+    projectUpdates: subscription.preferences?.projectUpdates,
+    techInsights: subscription.preferences?.techInsights
+  },
+  frequency: subscription.frequency,
+  pausedUntil: subscription.pausedUntil && subscription.pausedUntil > new Date() ? subscription.pausedUntil : null
+});
+
+// New and returning subscribers are saved as pending and get a confirmation link;
+// nothing else is sent until they click it.
 exports.createSubscription = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -12,6 +36,9 @@ exports.createSubscription = async (req, res) => {
     if (subscription && subscription.status === 'active') {
       return res.status(409).json({ success: false, message: 'Already subscribed' });
     }
+    const recentlySent = subscription && subscription.status === 'pending' && subscription.confirmationSentAt
+      && Date.now() - subscription.confirmationSentAt.getTime() < CONFIRM_RESEND_MINUTES * 60 * 1000;
+
     if (!subscription) {
       subscription = new Subscription({
         email: req.body.email,
@@ -21,31 +48,195 @@ exports.createSubscription = async (req, res) => {
         preferences: req.body.preferences || undefined
       });
     } else {
-      subscription.status = 'active';
-      subscription.unsubscribedAt = undefined;
-      subscription.unsubscribedReason = '';
+      // Returning subscribers keep what they submitted this time; their old status comes
+      // back if they never confirm
+      if (subscription.status !== 'pending') subscription.previousStatus = subscription.status;
+      subscription.status = 'pending';
+      if (req.body.firstName !== undefined) subscription.firstName = req.body.firstName;
+      if (req.body.lastName !== undefined) subscription.lastName = req.body.lastName;
+      for (const flag of Subscription.PREFERENCE_FLAGS) {
+        if (req.body.preferences?.[flag] !== undefined) subscription.preferences[flag] = req.body.preferences[flag];
+      }
     }
+
+    if (!recentlySent) subscription.confirmationSentAt = new Date();
     await subscription.save();
+    Person.track(subscription.email);
+    
+    // Try to send the confirmation email, but don't fail if it doesn't work
+    if (!recentlySent) {
+      try {
+        const token = signSubscriptionToken(subscription, 'confirm', { expiresIn: `${CONFIRM_TOKEN_TTL_HOURS}h` });
+        await emailService.sendSubscriptionConfirmation(subscription, siteLink('newsletter/confirm', token), CONFIRM_TOKEN_TTL_HOURS);
+        console.log('✅ Confirmation email sent successfully');
+      } catch (emailError) {
+        console.error('⚠️  Email sending failed, but subscription was saved:', emailError.message);
+        // Continue without failing the request
+      }
+    }
     
-    // Try to send welcome email, but don't fail if it doesn't work
+    res.status(201).json({
+      success: true,
+      message: 'Please check your inbox to confirm your subscription',
+      subscription: { email: subscription.email, status: subscription.status }
+    });
+  } catch (error) {
+    console.error('❌ Subscription error:', error);
+    res.status(500).json({ success: false, message: 'Failed to subscribe', error: error.message });
+  }
+};
+
+// Confirm a pending subscription from the emailed link (GET /api/subscription/confirm/:token)
+exports.confirmSubscription = async (req, res) => {
+  try {
+    const subscription = await findByToken(Subscription, req.params.token, 'confirm');
+    if (!subscription) {
+      return res.status(400).json({ success: false, message: 'This confirmation link is invalid or has expired' });
+    }
+
+    if (subscription.status === 'active') {
+      return res.json({ success: true, message: 'Subscription already confirmed' });
+    }
+    if (subscription.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'This confirmation link is no longer valid' });
+    }
+
+    const before = snapshot(subscription);
+    await subscription.confirm();
+    Person.track(subscription.email);
+
+    // Public action, so there is no admin actor on this entry
+    await auditChange('confirm', 'subscription', req, { before, after: subscription });
+
     try {
       await emailService.sendSubscriptionWelcome(subscription);
       console.log('✅ Welcome email sent successfully');
     } catch (emailError) {
-      console.error('⚠️  Email sending failed, but subscription was saved:', emailError.message);
-      // Continue without failing the request
+      console.error('⚠️  Welcome email failed, but subscription was confirmed:', emailError.message);
     }
-    
-    res.status(201).json({ success: true, message: 'Subscribed successfully', subscription });
+
+    res.json({ success: true, message: 'Subscription confirmed' });
   } catch (error) {
-    console.error('❌ Subscription error:', error);
-    res.status(500).json({ success: false, message: 'Failed to subscribe', error: error.message });
+    console.error('❌ Subscription confirm error:', error);
+    res.status(500).json({ success: false, message: 'Failed to confirm subscription', error: error.message });
+  }
+};
+
+// Show who an unsubscribe link belongs to, for the unsubscribe page (GET /api/subscription/unsubscribe/:token).
+// Deliberately read-only: mail scanners follow GET links, and RFC 8058 requires a POST to unsubscribe.
+exports.getUnsubscribeStatus = async (req, res) => {
+  try {
+    const subscription = await findByToken(Subscription, req.params.token, 'unsubscribe');
+    if (!subscription) {
+      return res.status(400).json({ success: false, message: 'This unsubscribe link is invalid' });
+    }
+
+    res.json({
+      success: true,
+      subscription: {
+        email: subscription.email,
+        firstName: subscription.firstName,
+        status: subscription.status
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to load subscription', error: error.message });
+  }
+};
+
+// Unsubscribe from a link or a mail client's one-click button (POST /api/subscription/unsubscribe/:token)
+exports.unsubscribeByToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const subscription = await findByToken(Subscription, req.params.token, 'unsubscribe');
+    if (!subscription) {
+      return res.status(400).json({ success: false, message: 'This unsubscribe link is invalid' });
+    }
+
+    if (subscription.status === 'unsubscribed') {
+      return res.json({ success: true, message: 'You are already unsubscribed' });
+    }
+
+    const oneClick = req.body && req.body['List-Unsubscribe'] === 'One-Click';
+    const reason = req.body?.reason || (oneClick ? 'One-click unsubscribe from mail client' : '');
+
+    const before = snapshot(subscription);
+    await subscription.unsubscribe(reason);
+    Person.track(subscription.email);
+
+    // Public action, so there is no admin actor on this entry
+    await auditChange('unsubscribe', 'subscription', req, { before, after: subscription, details: { via: oneClick ? 'one-click' : 'link' } });
+
+    res.json({ success: true, message: 'You have been unsubscribed' });
+  } catch (error) {
+    console.error('❌ Unsubscribe error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unsubscribe', error: error.message });
+  }
+};
+
+// Preference center data (GET /api/subscription/preferences/:token)
+exports.getPreferences = async (req, res) => {
+  try {
+    const subscription = await findByToken(Subscription, req.params.token, 'preferences');
+    if (!subscription) {
+      return res.status(400).json({ success: false, message: 'This preferences link is invalid' });
+    }
+
+    res.json({ success: true, subscription: preferenceView(subscription) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to load preferences', error: error.message });
+  }
+};
+
+// Update name, topics, frequency or pause from the preference center (PUT /api/subscription/preferences/:token)
+exports.updatePreferences = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const subscription = await findByToken(Subscription, req.params.token, 'preferences');
+    if (!subscription) {
+      return res.status(400).json({ success: false, message: 'This preferences link is invalid' });
+    }
+
+    const before = snapshot(subscription);
+    const { firstName, lastName, preferences = {}, frequency, pause } = req.body;
+
+    if (firstName !== undefined) subscription.firstName = firstName;
+    if (lastName !== undefined) subscription.lastName = lastName;
+    for (const flag of Subscription.PREFERENCE_FLAGS) {
+      if (preferences[flag] !== undefined) subscription.preferences[flag] = preferences[flag];
+    }
+    if (frequency !== undefined) subscription.frequency = frequency;
+    if (pause === true) {
+      subscription.pausedUntil = new Date(Date.now() + PAUSE_DAYS * 24 * 60 * 60 * 1000);
+    } else if (pause === false) {
+      subscription.pausedUntil = undefined;
+    }
+
+    await subscription.save();
+    Person.track(subscription.email);
+
+    // Public action, so there is no admin actor on this entry
+    await auditChange('update', 'subscription', req, { before, after: subscription, details: { via: 'preference-center' } });
+
+    res.json({ success: true, message: 'Preferences updated', subscription: preferenceView(subscription) });
+  } catch (error) {
+    console.error('❌ Preference update error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update preferences', error: error.message });
   }
 };
 
 exports.getAllSubscriptions = async (req, res) => {
   try {
     const subscriptions = await Subscription.find().sort({ createdAt: -1 });
+    await logAudit('read', 'subscription', undefined, req, { count: subscriptions.length });
     res.json({ success: true, subscriptions });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to fetch subscriptions', error: error.message });
@@ -56,7 +247,9 @@ exports.unsubscribe = async (req, res) => {
   try {
     const subscription = await Subscription.findById(req.params.id);
     if (!subscription) return res.status(404).json({ success: false, message: 'Subscription not found' });
+    const before = snapshot(subscription);
     await subscription.unsubscribe(req.body.reason || '');
+    await auditChange('unsubscribe', 'subscription', req, { before, after: subscription });
     res.json({ success: true, message: 'Unsubscribed', subscription });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to unsubscribe', error: error.message });
@@ -67,7 +260,9 @@ exports.reactivate = async (req, res) => {
   try {
     const subscription = await Subscription.findById(req.params.id);
     if (!subscription) return res.status(404).json({ success: false, message: 'Subscription not found' });
+    const before = snapshot(subscription);
     await subscription.reactivate();
+    await auditChange('reactivate', 'subscription', req, { before, after: subscription });
     res.json({ success: true, message: 'Subscription reactivated', subscription });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to reactivate', error: error.message });
@@ -78,6 +273,8 @@ exports.deleteSubscription = async (req, res) => {
   try {
     const subscription = await Subscription.findByIdAndDelete(req.params.id);
     if (!subscription) return res.status(404).json({ success: false, message: 'Subscription not found' });
+    Person.track(subscription.email);
+    await auditChange('delete', 'subscription', req, { before: subscription });
     res.json({ success: true, message: 'Subscription deleted' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to delete subscription', error: error.message });
@@ -88,6 +285,7 @@ exports.getSubscriptionStats = async (req, res) => {
   try {
     const stats = await Subscription.getStats();
     const activeCount = await Subscription.getActiveCount();
+    await logAudit('read', 'subscription', undefined, req, { view: 'stats' });
     res.json({ success: true, stats, activeCount });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to fetch stats', error: error.message });
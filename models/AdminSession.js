@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// One document per logged-in device. The refresh token itself is never stored,
+// only its SHA-256 hash, and it is rotated on every refresh.
+const adminSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hash of the token that was rotated out; seeing it again means the token was stolen
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+adminSessionSchema.index({ userId: 1, revokedAt: 1 });
+adminSessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB drop sessions once they can no longer be refreshed
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+adminSessionSchema.virtual('active').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+adminSessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.previousTokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const generateToken = () => crypto.randomBytes(48).toString('hex');
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const nextExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Method to issue a fresh refresh token, remembering the old hash for reuse detection
+adminSessionSchema.methods.rotate = async function() {
+  const refreshToken = generateToken();
+  this.previousTokenHash = this.tokenHash;
+  this.tokenHash = hashToken(refreshToken);
+  this.lastUsedAt = new Date();
+  this.expiresAt = nextExpiry();
+  await this.save();
+  return refreshToken;
+};
+
+// Method to revoke the session
+adminSessionSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Static method to start a session for a user; returns the plain refresh token once
+adminSessionSchema.statics.createForUser = async function(user, req) {
+  const refreshToken = generateToken();
+  const session = await this.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: (req.headers['user-agent'] || '').slice(0, 500),
+    ip: req.ip || req.connection?.remoteAddress,
+    expiresAt: nextExpiry()
+  });
+  return { session, refreshToken };
+};
+
+// Static method to look up a session by its current refresh token
+adminSessionSchema.statics.findByToken = function(refreshToken) {
+  return this.findOne({ tokenHash: hashToken(refreshToken) }).select('+tokenHash +previousTokenHash');
+};
+
+// Static method to look up a session by a refresh token that has already been rotated out
+adminSessionSchema.statics.findByRotatedToken = function(refreshToken) {
+  return this.findOne({ previousTokenHash: hashToken(refreshToken) });
+};
+
+// Static method to check that an access token's session is still usable
+adminSessionSchema.statics.isActive = async function(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const session = await this.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return !!session;
+};
+
+// Static method to revoke every session of a user, optionally keeping one
+adminSessionSchema.statics.revokeAllForUser = function(userId, exceptSessionId) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+  return this.updateMany(query, { $set: { revokedAt: new Date() } });
+};
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
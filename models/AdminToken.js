@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ROLES } = require('../utils/permissions');
+
+// Single-use tokens emailed to admins: password resets for existing accounts and
+// invitations for new ones. Only the SHA-256 hash of the token is stored.
+const adminTokenSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['password-reset', 'invite']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Password resets: the account being reset
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  // Invitations: the account to create on acceptance
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    enum: ROLES
+  },
+  createdBy: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+adminTokenSchema.index({ purpose: 1, userId: 1 });
+adminTokenSchema.index({ purpose: 1, email: 1 });
+adminTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+adminTokenSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Static method to issue a token; returns the plain token once alongside the document
+adminTokenSchema.statics.issue = async function(purpose, data, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const doc = await this.create({
+    ...data,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+  return { doc, token };
+};
+
+// Static method to find an unused, unexpired token for the given purpose
+adminTokenSchema.statics.findValid = function(purpose, token) {
+  return this.findOne({
+    purpose,
+    tokenHash: hashToken(token),
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to invalidate outstanding tokens, e.g. when a newer one is issued
+adminTokenSchema.statics.invalidate = function(filter) {
+  return this.updateMany({ ...filter, usedAt: null }, { $set: { usedAt: new Date() } });
+};
+
+// Static method to atomically consume a token, so two concurrent redemptions cannot both succeed
+adminTokenSchema.statics.redeem = function(purpose, token) {
+  return this.findOneAndUpdate(
+    {
+      purpose,
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AdminToken', adminTokenSchema);
@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../utils/permissions');
+const totp = require('../utils/totp');
+
+const SALT_ROUNDS = 10;
+const RECOVERY_CODE_COUNT = 10;
+
+// Progressive lockout: after MAX_FAILED_LOGINS failures the account locks for
+// LOCKOUT_BASE_MINUTES, doubling with every further failure up to LOCKOUT_MAX_MINUTES.
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+// Failures stop counting once an account has gone this long without one
+const FAILED_LOGIN_RESET_MS = (parseInt(process.env.LOGIN_FAILURE_RESET_HOURS) || 24) * 60 * 60 * 1000;
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const adminUserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Username cannot exceed 50 characters'],
+    match: [/^[a-z0-9._-]+$/, 'Username can only contain lowercase letters, numbers, dots, underscores and hyphens']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  passwordHash: {
+    type: String,
+    required: [true, 'Password is required'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  failedLoginCount: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret handed out during enrollment, promoted to `secret` once a first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed within its window
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Never leak the password hash, even when it was explicitly selected
+adminUserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    if (ret.twoFactor) {
+      ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+    }
+    delete ret.__v;
+    return ret;
+  }
+});
+
+adminUserSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Method to count a failed login and lock the account once the threshold is reached. The count
+// is incremented in the database so parallel attempts can't lose failures, and starts over
+// after a quiet period so an old streak doesn't inflate the next lockout.
+adminUserSchema.methods.registerFailedLogin = async function() {
+  const Model = this.constructor;
+  const now = new Date();
+
+  await Model.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { lastFailedLoginAt: { $lt: new Date(now.getTime() - FAILED_LOGIN_RESET_MS) } },
+        // Counts recorded before failures were timestamped
+        { lastFailedLoginAt: null, failedLoginCount: { $gt: 0 } }
+      ]
+    },
+    { $set: { failedLoginCount: 0 } }
+  );
+  const updated = await Model.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true, projection: { failedLoginCount: 1, lockUntil: 1 } }
+  );
+  if (!updated) return;
+
+  let { lockUntil } = updated;
+  if (updated.failedLoginCount >= MAX_FAILED_LOGINS) {
+    const exponent = updated.failedLoginCount - MAX_FAILED_LOGINS;
+    const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** exponent, LOCKOUT_MAX_MINUTES);
+    const until = new Date(now.getTime() + minutes * 60 * 1000);
+    // $max so a slower parallel request can't shorten a longer lock
+    await Model.updateOne({ _id: this._id }, { $max: { lockUntil: until } });
+    if (!lockUntil || until > lockUntil) lockUntil = until;
+  }
+
+  // Reflect the stored state without marking it dirty, so a later save can't write it back stale
+  this.failedLoginCount = updated.failedLoginCount;
+  this.lastFailedLoginAt = now;
+  this.lockUntil = lockUntil;
+  ['failedLoginCount', 'lastFailedLoginAt', 'lockUntil'].forEach(path => this.unmarkModified(path));
+};
+
+// Method to clear failed login state after a successful login or a manual unlock (caller saves)
+adminUserSchema.methods.resetLoginFailures = function() {
+  this.failedLoginCount = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
+// Method to hash and set a new password
+adminUserSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+// Method to check a password against the stored hash (requires passwordHash to be selected)
+adminUserSchema.methods.comparePassword = function(password) {
+  if (!this.passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Method to check a TOTP code against the active (or pending) secret, rejecting replays.
+// Requires twoFactor.secret/pendingSecret and twoFactor.lastUsedStep to be selected.
+adminUserSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret) return false;
+
+  const step = totp.verifyCode(secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to consume a one-time recovery code (requires twoFactor.recoveryCodes to be selected)
+adminUserSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashRecoveryCode(code);
+  const codes = this.twoFactor.recoveryCodes || [];
+  if (!codes.includes(hash)) return false;
+  this.twoFactor.recoveryCodes = codes.filter(existing => existing !== hash);
+  return true;
+};
+
+// Method to replace the recovery codes; returns the plain codes, which are only shown once
+adminUserSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Static method to find a user by username or email, including the password hash
+adminUserSchema.statics.findByLogin = function(login) {
+  const value = String(login).trim().toLowerCase();
+  return this.findOne({ $or: [{ username: value }, { email: value }] }).select('+passwordHash');
+};
+
+// Static method to create the first admin from the legacy ADMIN_* env vars.
+// Only runs while the collection is empty, so env credentials stop working
+// as soon as real accounts exist.
+adminUserSchema.statics.bootstrapFromEnv = async function() {
+  const username = process.env.ADMIN_USERNAME;
+  const email = process.env.ADMIN_EMAIL || process.env.EMAIL_USER;
+  const { ADMIN_PASSWORD_HASH, ADMIN_PASSWORD } = process.env;
+
+  if (!username || !email || (!ADMIN_PASSWORD_HASH && !ADMIN_PASSWORD)) return null;
+  if (await this.estimatedDocumentCount() > 0) return null;
+
+  const user = new this({ username, email, name: username, role: 'owner' });
+  if (ADMIN_PASSWORD_HASH) {
+    user.passwordHash = ADMIN_PASSWORD_HASH;
+  } else {
+    await user.setPassword(ADMIN_PASSWORD);
+  }
+  await user.save();
+  console.log('✅ Bootstrapped admin user from environment:', user.username);
+  return user;
+};
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
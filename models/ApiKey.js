@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'pk';
+
+// Credentials for machine integrations. The full key is shown once on creation;
+// only its SHA-256 hash is stored. The prefix stays readable so a key seen in a
+// log or config file can be matched to its record.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    trim: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ revokedAt: 1, expiresAt: 1 });
+
+apiKeySchema.virtual('active').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Static method to create a key; returns the plain key once alongside the document
+apiKeySchema.statics.generate = async function({ name, scopes, expiresAt, createdBy }) {
+  const prefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await this.create({ name, scopes, expiresAt, createdBy, prefix, keyHash: hashKey(key) });
+  return { apiKey, key };
+};
+
+// Static method to resolve a presented key to an active record, or null
+apiKeySchema.statics.findActiveByKey = function(key) {
+  return this.findOne({
+    keyHash: hashKey(key),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Method to record usage, at most once a minute to keep hot keys from hammering the collection
+apiKeySchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve();
+  }
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip } }
+  );
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
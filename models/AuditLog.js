@@ -4,7 +4,7 @@ const auditLogSchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['create', 'update', 'delete', 'publish', 'unpublish', 'feature', 'unfeature', 'register', 'login']
+    enum: ['create', 'read', 'export', 'update', 'delete', 'publish', 'unpublish', 'feature', 'unfeature', 'status-change', 'reply', 'bulk', 'merge', 'confirm', 'unsubscribe', 'reactivate', 'register', 'login', 'unlock', 'password-reset', 'invite', 'revoke', 'enable-2fa', 'disable-2fa', 'failed-2fa', 'schedule', 'cancel', 'test-send']
   },
   resource: {
     type: String,
@@ -33,6 +33,7 @@ const auditLogSchema = new mongoose.Schema({
 
 auditLogSchema.index({ timestamp: -1 });
 auditLogSchema.index({ action: 1, timestamp: -1 });
-auditLogSchema.index({ resource: 1 });
+auditLogSchema.index({ resource: 1, resourceId: 1, timestamp: -1 });
+auditLogSchema.index({ adminId: 1, timestamp: -1 });
 
 module.exports = mongoose.model('AuditLog', auditLogSchema);
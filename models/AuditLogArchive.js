@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const AuditLog = require('./AuditLog');
+
+// Cold storage for audit entries moved out of the live collection by the retention job
+const auditLogArchiveSchema = AuditLog.schema.clone();
+
+auditLogArchiveSchema.add({
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('AuditLogArchive', auditLogArchiveSchema);
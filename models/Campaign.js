@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+// A newsletter send. Drafts can be edited; once scheduled, the campaign sender picks it up at
+// scheduledAt and records each recipient as a CampaignDelivery. A send that keeps erroring is
+// given up on and marked failed.
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  html: {
+    type: String,
+    required: [true, 'HTML body is required'],
+    maxlength: [200000, 'HTML body cannot exceed 200000 characters']
+  },
+  text: {
+    type: String,
+    maxlength: [100000, 'Text body cannot exceed 100000 characters']
+  },
+  // Who receives it: active subscribers who want this topic, optionally limited to signup sources
+  // and to a saved Segment
+  segment: {
+    category: {
+      type: String,
+      enum: ['newsletters', 'projectUpdates', 'techInsights'],
+      default: 'newsletters'
+    },
+    sources: [{
+      type: String,
+      enum: ['footer', 'contact', 'manual', 'other']
+    }]
+  },
+  segmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Segment'
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'draft'
+  },
+  scheduledAt: {
+    type: Date
+  },
+  // Set once every recipient has a CampaignDelivery, so a resumed send doesn't rebuild the list
+  recipientsQueuedAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  // Sender runs that errored, and the last error, so admins can see why a send stalled or failed
+  sendAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  // Lease held by the process that is sending; an expired lease means that process died
+  lockedUntil: {
+    type: Date
+  },
+  stats: {
+    total: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    deferred: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  createdBy: {
+    type: String
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+// Static method to claim the next campaign that is due, or one whose sender died mid-send
+campaignSchema.statics.claimDue = function(leaseMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', scheduledAt: { $lte: now } },
+        { status: 'sending', $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: null }, { lockedUntil: { $lte: now } }] }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + leaseMs) } },
+    { sort: { scheduledAt: 1 }, new: true }
+  );
+};
+
+// Method to extend the sending lease. Resolves false if the campaign was cancelled meanwhile.
+campaignSchema.methods.renewLease = async function(leaseMs) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'sending' },
+    { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+  );
+  return result.matchedCount > 0;
+};
+
+// Method to build the subscriber query for this campaign's audience. By default this is everyone
+// it is addressed to, so paused subscribers get a skipped delivery with the reason and those inside
+// their frequency window a deferred one; pass deliverableOnly for just those who would receive it
+// right now.
+campaignSchema.methods.audienceQuery = async function({ deliverableOnly = false, now = new Date() } = {}) {
+  const Subscription = mongoose.model('Subscription');
+  const category = this.segment?.category;
+  const query = deliverableOnly
+    ? Subscription.newsletterAudienceQuery(category, now)
+    : Subscription.newsletterRecipientQuery(category);
+  if (this.segment?.sources?.length) query.source = { $in: this.segment.sources };
+
+  if (this.segmentId) {
+    const segment = await mongoose.model('Segment').findById(this.segmentId);
+    if (!segment) throw new Error('The campaign\'s segment no longer exists');
+    query.$and = [...(query.$and || []), await segment.compile()];
+  }
+  return query;
+};
+
+// Method to get the content passed to emailService.sendNewsletter
+campaignSchema.methods.toNewsletter = function() {
+  return {
+    subject: this.subject,
+    html: this.html,
+    text: this.text,
+    category: this.segment?.category
+  };
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// One recipient of a campaign. Status moves queued -> sending -> sent | failed | skipped, or to
+// deferred when the subscriber's frequency window is still open; deferred deliveries go out
+// together in that subscriber's digest once deferredUntil passes.
+// A recipient is marked sending before the email goes out, so after a crash anything still
+// sending may or may not have been delivered and is never retried.
+const campaignDeliverySchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'deferred', 'sent', 'failed', 'skipped'],
+    default: 'queued'
+  },
+  messageId: {
+    type: String
+  },
+  // Why it was skipped, deferred or failed
+  reason: {
+    type: String
+  },
+  // When the subscriber's frequency allows the digest this delivery is held for
+  deferredUntil: {
+    type: Date
+  },
+  attemptedAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  // Engagement, recorded by the tracking pixel and click redirect
+  openedAt: {
+    type: Date
+  },
+  clickedAt: {
+    type: Date
+  },
+  clickCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+campaignDeliverySchema.index({ campaignId: 1, subscriptionId: 1 }, { unique: true });
+campaignDeliverySchema.index({ campaignId: 1, status: 1 });
+campaignDeliverySchema.index({ status: 1, deferredUntil: 1 });
+
+// Static method to count deliveries by status for a campaign
+campaignDeliverySchema.statics.countByStatus = async function(campaignId) {
+  const groups = await this.aggregate([
+    { $match: { campaignId: new mongoose.Types.ObjectId(campaignId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { queued: 0, sending: 0, deferred: 0, sent: 0, failed: 0, skipped: 0 };
+  for (const group of groups) counts[group._id] = group.count;
+  return counts;
+};
+
+// Static method to count recipients who opened or clicked a campaign
+campaignDeliverySchema.statics.countEngagement = async function(campaignId) {
+  const [opened, clicked] = await Promise.all([
+    this.countDocuments({ campaignId, openedAt: { $ne: null } }),
+    this.countDocuments({ campaignId, clickedAt: { $ne: null } })
+  ]);
+  return { opened, clicked };
+};
+
+module.exports = mongoose.model('CampaignDelivery', campaignDeliverySchema);
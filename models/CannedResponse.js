@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Placeholders look like {{name}}; whitespace inside the braces is allowed
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+const PLACEHOLDERS = ['name', 'firstName', 'email', 'subject', 'adminName'];
+
+const cannedResponseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  // Optional subject override; replies default to "Re: <contact subject>"
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    maxlength: [20000, 'Body cannot exceed 20000 characters']
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+cannedResponseSchema.index({ title: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+cannedResponseSchema.index({ category: 1, usageCount: -1 });
+
+// Static method to fill placeholders. Values are inserted as plain text; the reply
+// email escapes the whole body when it builds the HTML part.
+cannedResponseSchema.statics.renderTemplate = function(template, values) {
+  const unknown = new Set();
+  const text = String(template || '').replace(PLACEHOLDER_PATTERN, (match, key) => {
+    if (!PLACEHOLDERS.includes(key)) {
+      unknown.add(key);
+      return match;
+    }
+    return values[key] ?? '';
+  });
+  return { text, unknownPlaceholders: [...unknown] };
+};
+
+// Static method to build placeholder values from a contact and the admin replying
+cannedResponseSchema.statics.placeholderValues = function(contact, adminName) {
+  return {
+    name: contact.name,
+    firstName: String(contact.name || '').split(/\s+/)[0],
+    email: contact.email,
+    subject: contact.subject,
+    adminName
+  };
+};
+
+// Method to render subject and body for a contact
+cannedResponseSchema.methods.render = function(contact, adminName) {
+  const values = this.constructor.placeholderValues(contact, adminName);
+  const body = this.constructor.renderTemplate(this.body, values);
+  const subject = this.subject ? this.constructor.renderTemplate(this.subject, values) : null;
+
+  return {
+    subject: subject ? subject.text : undefined,
+    body: body.text,
+    unknownPlaceholders: [...new Set([...body.unknownPlaceholders, ...(subject?.unknownPlaceholders || [])])]
+  };
+};
+
+// Method to count a use without racing concurrent sends
+cannedResponseSchema.methods.recordUsage = function() {
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } });
+};
+
+cannedResponseSchema.statics.PLACEHOLDERS = PLACEHOLDERS;
+
+module.exports = mongoose.model('CannedResponse', cannedResponseSchema);
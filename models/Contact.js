@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const { normalizeEmail } = require('../utils/emailAddress');
+
+// Hours allowed before the first response, per priority. Override with SLA_HOURS_<PRIORITY>.
+const DEFAULT_SLA_HOURS = { urgent: 4, high: 24, medium: 48, low: 72 };
+const CLOSED_STATUSES = ['done', 'rejected', 'spam'];
+// Moving a contact to any of these for the first time counts as its first response
+const RESPONDED_STATUSES = ['review', 'worked', 'done', 'rejected'];
+
+const slaHours = (priority) =>
+  parseFloat(process.env[`SLA_HOURS_${String(priority).toUpperCase()}`]) || DEFAULT_SLA_HOURS[priority] || DEFAULT_SLA_HOURS.medium;
 
 const contactSchema = new mongoose.Schema({
   name: {
@@ -14,6 +24,11 @@ const contactSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Normalised `email` (see Person.normalizeEmail), so a person's records are found whichever
+  // spelling they used
+  normalizedEmail: {
+    type: String
+  },
   mobile: {
     type: String,
     trim: true,
@@ -33,7 +48,7 @@ const contactSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'review', 'worked', 'done', 'rejected'],
+    enum: ['pending', 'review', 'worked', 'done', 'rejected', 'spam'],
     default: 'pending'
   },
   priority: {
@@ -58,15 +73,81 @@ const contactSchema = new mongoose.Schema({
   },
   completedAt: {
     type: Date
+  },
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  spamReasons: [{
+    type: String
+  }],
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  assignedAt: {
+    type: Date
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Tags cannot exceed 50 characters']
+  }],
+  // Deadline for the first response, derived from priority and creation time
+  firstResponseDue: {
+    type: Date
+  },
+  attachments: [{
+    filename: { type: String, required: true },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  source: {
+    type: String,
+    enum: ['website', 'email'],
+    default: 'website'
+  },
+  // Message-ID that roots the email thread for replies
+  messageId: {
+    type: String,
+    trim: true
+  },
+  lastMessageAt: {
+    type: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for better query performance
 contactSchema.index({ status: 1, createdAt: -1 });
 contactSchema.index({ email: 1 });
+contactSchema.index({ normalizedEmail: 1 });
+contactSchema.index({ ip: 1, createdAt: -1 });
 contactSchema.index({ priority: 1 });
+contactSchema.index({ assignedTo: 1, status: 1 });
+contactSchema.index({ tags: 1 });
+contactSchema.index({ firstResponseDue: 1, respondedAt: 1 });
+contactSchema.index({ createdAt: -1, _id: -1 });
+contactSchema.index({ messageId: 1 }, { sparse: true });
+
+// Text index for inbox search
+contactSchema.index(
+  { name: 'text', email: 'text', subject: 'text', message: 'text' },
+  { weights: { subject: 5, name: 3, email: 3, message: 1 }, name: 'contact_text_search' }
+);
 
 // Virtual for status color (useful for frontend)
 contactSchema.virtual('statusColor').get(function() {
@@ -75,24 +156,110 @@ contactSchema.virtual('statusColor').get(function() {
     review: 'blue',
     worked: 'purple',
     done: 'green',
-    rejected: 'red'
+    rejected: 'red',
+    spam: 'orange'
   };
   return colors[this.status] || 'gray';
 });
 
+// Virtual for SLA breach: answered late, or still unanswered past the deadline
+contactSchema.virtual('breached').get(function() {
+  if (!this.firstResponseDue) return false;
+  if (this.respondedAt) return this.respondedAt > this.firstResponseDue;
+  if (CLOSED_STATUSES.includes(this.status)) return false;
+  return Date.now() > this.firstResponseDue.getTime();
+});
+
+// Keep the normalised address in step with the email
+contactSchema.pre('save', function(next) {
+  if (this.isModified('email') || !this.normalizedEmail) {
+    this.normalizedEmail = normalizeEmail(this.email);
+  }
+  next();
+});
+
+// Keep the response deadline in step with the priority
+contactSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('priority') || !this.firstResponseDue) {
+    this.firstResponseDue = this.constructor.firstResponseDueFor(this.priority, this.createdAt || new Date());
+  }
+  next();
+});
+
 // Method to update status with timestamp
 contactSchema.methods.updateStatus = function(newStatus) {
   this.status = newStatus;
   
-  if (newStatus === 'review') {
+  // Keep the first response time; SLA reporting depends on it
+  if (RESPONDED_STATUSES.includes(newStatus) && !this.respondedAt) {
     this.respondedAt = new Date();
-  } else if (newStatus === 'done') {
+  }
+  if (newStatus === 'done') {
     this.completedAt = new Date();
   }
   
   return this.save();
 };
 
+// Static method to compute a response deadline
+contactSchema.statics.firstResponseDueFor = function(priority, createdAt) {
+  return new Date(new Date(createdAt).getTime() + slaHours(priority) * 60 * 60 * 1000);
+};
+
+// Static method to get the SLA target per priority, in hours
+contactSchema.statics.getSlaTargets = function() {
+  return Object.fromEntries(Object.keys(DEFAULT_SLA_HOURS).map(priority => [priority, slaHours(priority)]));
+};
+
+// Static filter for open contacts still waiting on a first response
+contactSchema.statics.awaitingResponseFilter = function() {
+  return {
+    respondedAt: { $exists: false },
+    status: { $nin: CLOSED_STATUSES }
+  };
+};
+
+// Static filter for contacts still waiting on a first response past their deadline
+contactSchema.statics.overdueFilter = function(now = new Date()) {
+  return {
+    ...this.awaitingResponseFilter(),
+    firstResponseDue: { $lt: now }
+  };
+};
+
+// Static filter for contacts answered after their deadline
+contactSchema.statics.respondedLateFilter = function() {
+  return { $expr: { $gt: ['$respondedAt', '$firstResponseDue'] }, respondedAt: { $exists: true } };
+};
+
+// Static filter for contacts answered by their deadline
+contactSchema.statics.respondedOnTimeFilter = function() {
+  return { $expr: { $lte: ['$respondedAt', '$firstResponseDue'] }, respondedAt: { $exists: true } };
+};
+
+// Static filter for contacts that missed their deadline, answered or not
+contactSchema.statics.breachedFilter = function(now = new Date()) {
+  return {
+    $or: [
+      this.overdueFilter(now),
+      this.respondedLateFilter()
+    ]
+  };
+};
+
+// Static method to set deadlines on contacts created before SLA tracking existed
+contactSchema.statics.backfillResponseDeadlines = async function() {
+  let updated = 0;
+  for (const [priority, hours] of Object.entries(this.getSlaTargets())) {
+    const result = await this.updateMany(
+      { priority, firstResponseDue: { $exists: false } },
+      [{ $set: { firstResponseDue: { $add: ['$createdAt', hours * 60 * 60 * 1000] } } }]
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
 // Static method to get contact statistics
 contactSchema.statics.getStats = function() {
   return this.aggregate([
@@ -105,4 +272,7 @@ contactSchema.statics.getStats = function() {
   ]);
 };
 
+contactSchema.statics.CLOSED_STATUSES = CLOSED_STATUSES;
+contactSchema.statics.RESPONDED_STATUSES = RESPONDED_STATUSES;
+
 module.exports = mongoose.model('Contact', contactSchema); 
\ No newline at end of file
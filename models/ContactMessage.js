@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// One email in a contact's conversation: our replies (outbound) and the customer's answers (inbound).
+// The original form submission stays on the Contact itself and acts as the thread root.
+const contactMessageSchema = new mongoose.Schema({
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['outbound', 'inbound'],
+    required: true
+  },
+  from: {
+    type: String,
+    trim: true
+  },
+  to: {
+    type: String,
+    trim: true
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    maxlength: [20000, 'Message cannot exceed 20000 characters']
+  },
+  // RFC 5322 threading headers, stored with their angle brackets
+  messageId: {
+    type: String,
+    trim: true
+  },
+  inReplyTo: {
+    type: String,
+    trim: true
+  },
+  references: [{
+    type: String,
+    trim: true
+  }],
+  // Outbound only: who sent it
+  sentBy: {
+    type: String
+  },
+  sentByName: {
+    type: String
+  },
+  deliveryStatus: {
+    type: String,
+    enum: ['sent', 'failed', 'received'],
+    default: 'sent'
+  },
+  error: {
+    type: String
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+contactMessageSchema.index({ contactId: 1, sentAt: 1 });
+contactMessageSchema.index({ messageId: 1 }, { unique: true, sparse: true });
+
+// Static method to get a contact's conversation, oldest first
+contactMessageSchema.statics.getThread = function(contactId) {
+  return this.find({ contactId }).sort({ sentAt: 1, _id: 1 });
+};
+
+// Static method to build the References chain for the next message in a thread
+contactMessageSchema.statics.buildReferences = async function(contact) {
+  const messages = await this.find({
+    contactId: contact._id,
+    messageId: { $exists: true },
+    deliveryStatus: { $ne: 'failed' }
+  })
+    .sort({ sentAt: 1, _id: 1 })
+    .select('messageId');
+
+  const chain = [contact.messageId, ...messages.map(m => m.messageId)].filter(Boolean);
+  return {
+    inReplyTo: chain[chain.length - 1],
+    references: [...new Set(chain)]
+  };
+};
+
+module.exports = mongoose.model('ContactMessage', contactMessageSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normalizeEmail } = require('../utils/emailAddress');
 
 const eventRegistrationSchema = new mongoose.Schema({
   eventId: {
@@ -19,6 +20,11 @@ const eventRegistrationSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
   },
+  // Normalised `email` (see Person.normalizeEmail), so a person's records are found whichever
+  // spelling they used
+  normalizedEmail: {
+    type: String
+  },
   phone: {
     type: String,
     trim: true,
@@ -60,8 +66,17 @@ const eventRegistrationSchema = new mongoose.Schema({
 eventRegistrationSchema.index({ eventId: 1, email: 1 }, { unique: true });
 eventRegistrationSchema.index({ eventId: 1 });
 eventRegistrationSchema.index({ email: 1 });
+eventRegistrationSchema.index({ normalizedEmail: 1 });
 eventRegistrationSchema.index({ status: 1 });
 
+// Keep the normalised address in step with the email
+eventRegistrationSchema.pre('save', function(next) {
+  if (this.isModified('email') || !this.normalizedEmail) {
+    this.normalizedEmail = normalizeEmail(this.email);
+  }
+  next();
+});
+
 // Virtual for checking if already registered
 eventRegistrationSchema.virtual('isRegistered').get(function() {
   return this.status === 'confirmed' || this.status === 'pending';
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const FAILURE_OUTCOMES = ['invalid-credentials', 'locked', 'inactive', 'failed-2fa'];
+
+const loginAttemptSchema = new mongoose.Schema({
+  // As typed by the client, so attempts against unknown accounts are visible too
+  username: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 200
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  outcome: {
+    type: String,
+    required: true,
+    enum: ['success', '2fa-required', ...FAILURE_OUTCOMES]
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginAttemptSchema.index({ outcome: 1, timestamp: -1 });
+loginAttemptSchema.index({ username: 1, timestamp: -1 });
+// Keep 90 days of history
+loginAttemptSchema.index({ timestamp: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static method to record an attempt. Failures are logged and swallowed so tracking never breaks login.
+loginAttemptSchema.statics.record = async function(req, { username, user, outcome }) {
+  try {
+    await this.create({
+      username: username ? String(username).slice(0, 200) : undefined,
+      userId: user?._id,
+      ip: req.ip || req.connection?.remoteAddress,
+      userAgent: (req.headers['user-agent'] || '').slice(0, 500),
+      outcome
+    });
+  } catch (err) {
+    console.error('Login attempt log error:', err.message);
+  }
+};
+
+loginAttemptSchema.statics.FAILURE_OUTCOMES = FAILURE_OUTCOMES;
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
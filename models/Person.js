@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { normalizeEmail } = require('../utils/emailAddress');
+
+// Everyone who has contacted us, subscribed or registered for an event, keyed by
+// normalised email so the same person's records line up across collections.
+// The counts and dates are a cache, rebuilt by Person.refresh whenever a record changes.
+// Records carry their own indexed normalizedEmail, so every spelling of an address is found
+// without a scan. Run POST /api/people/rebuild after importing records outside the API.
+
+const SOURCE_MODELS = ['Contact', 'Subscription', 'EventRegistration'];
+const BACKFILL_BATCH_SIZE = 500;
+
+const personSchema = new mongoose.Schema({
+  normalizedEmail: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Most recently used address
+  primaryEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Every spelling seen across records
+  emails: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  name: {
+    type: String,
+    trim: true
+  },
+  counts: {
+    contacts: { type: Number, default: 0 },
+    subscriptions: { type: Number, default: 0 },
+    eventRegistrations: { type: Number, default: 0 }
+  },
+  subscriptionStatus: {
+    type: String
+  },
+  firstSeenAt: {
+    type: Date
+  },
+  lastSeenAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+personSchema.index({ lastSeenAt: -1 });
+personSchema.index({ emails: 1 });
+personSchema.index({ name: 'text', emails: 'text' });
+
+// Static method to normalise an address: case-insensitive everywhere, and Gmail ignores dots
+personSchema.statics.normalizeEmail = function(email) {
+  return normalizeEmail(email);
+};
+
+// Static method to load every record that belongs to an address. Records written before
+// normalizedEmail existed are matched by their exact spelling until the backfill reaches them.
+personSchema.statics.findRecords = async function(email, extraSpellings = []) {
+  const Contact = mongoose.model('Contact');
+  const Subscription = mongoose.model('Subscription');
+  const EventRegistration = mongoose.model('EventRegistration');
+  const address = String(email || '').trim().toLowerCase();
+  const query = {
+    $or: [
+      { normalizedEmail: normalizeEmail(address) },
+      { email: { $in: [...new Set([address, ...extraSpellings])] } }
+    ]
+  };
+
+  const [contacts, subscriptions, eventRegistrations] = await Promise.all([
+    Contact.find(query).sort({ createdAt: -1 }),
+    Subscription.find(query).sort({ createdAt: -1 }),
+    EventRegistration.find(query).sort({ registeredAt: -1 }).populate('eventId', 'title date slug')
+  ]);
+
+  return { contacts, subscriptions, eventRegistrations };
+};
+
+// Static method to rebuild the person for an address from its records. Removes the
+// person when no records are left.
+personSchema.statics.refresh = async function(email, extraSpellings = []) {
+  const normalizedEmail = this.normalizeEmail(email);
+  const { contacts, subscriptions, eventRegistrations } = await this.findRecords(email, extraSpellings);
+
+  const dated = [
+    ...contacts.map(c => ({ email: c.email, name: c.name, at: c.createdAt })),
+    ...subscriptions.map(s => ({ email: s.email, name: [s.firstName, s.lastName].filter(Boolean).join(' '), at: s.createdAt })),
+    ...eventRegistrations.map(r => ({ email: r.email, name: r.fullName, at: r.registeredAt || r.createdAt }))
+  ].sort((a, b) => b.at - a.at);
+
+  if (!dated.length) {
+    await this.deleteOne({ normalizedEmail });
+    return null;
+  }
+
+  const latestSubscription = subscriptions[0];
+
+  return this.findOneAndUpdate(
+    { normalizedEmail },
+    {
+      normalizedEmail,
+      primaryEmail: dated[0].email,
+      emails: [...new Set(dated.map(d => d.email))],
+      name: dated.find(d => d.name)?.name,
+      counts: {
+        contacts: contacts.length,
+        subscriptions: subscriptions.length,
+        eventRegistrations: eventRegistrations.length
+      },
+      subscriptionStatus: latestSubscription?.status,
+      firstSeenAt: dated[dated.length - 1].at,
+      lastSeenAt: dated[0].at
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to rebuild every person from the source collections, e.g. after an import
+personSchema.statics.rebuildAll = async function() {
+  const [contactEmails, subscriptionEmails, registrationEmails] = await Promise.all([
+    mongoose.model('Contact').distinct('email'),
+    mongoose.model('Subscription').distinct('email'),
+    mongoose.model('EventRegistration').distinct('email')
+  ]);
+
+  const byNormalized = new Map();
+  for (const email of [...contactEmails, ...subscriptionEmails, ...registrationEmails]) {
+    const normalized = this.normalizeEmail(email);
+    byNormalized.set(normalized, [...(byNormalized.get(normalized) || []), email]);
+  }
+
+  for (const spellings of byNormalized.values()) {
+    await this.refresh(spellings[0], spellings);
+  }
+  await this.deleteMany({ normalizedEmail: { $nin: [...byNormalized.keys()] } });
+
+  return byNormalized.size;
+};
+
+// Static method to set normalizedEmail on records written before it existed. Returns how many
+// records were updated; people are rebuilt when there were any, so existing data shows up.
+personSchema.statics.backfillNormalizedEmails = async function() {
+  let updated = 0;
+
+  for (const name of SOURCE_MODELS) {
+    const Model = mongoose.model(name);
+    const cursor = Model.find({ normalizedEmail: { $exists: false } }).select('email').lean().cursor();
+    let batch = [];
+
+    const flush = async () => {
+      if (!batch.length) return;
+      const result = await Model.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+      batch = [];
+    };
+
+    for await (const record of cursor) {
+      batch.push({
+        updateOne: { filter: { _id: record._id }, update: { $set: { normalizedEmail: normalizeEmail(record.email) } } }
+      });
+      if (batch.length >= BACKFILL_BATCH_SIZE) await flush();
+    }
+    await flush();
+  }
+
+  if (updated) await this.rebuildAll();
+  return updated;
+};
+
+// Static method to refresh in the background after a record is written
+personSchema.statics.track = function(email) {
+  this.refresh(email).catch(err => console.error('Person refresh failed:', err.message));
+};
+
+module.exports = mongoose.model('Person', personSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+const PREFERENCE_FLAGS = ['newsletters', 'projectUpdates', 'techInsights'];
+
+// A saved subscriber filter. Every rule that is set must match; unset rules are ignored.
+// Rules compile to a Subscription query; the event and engagement rules look up the
+// matching subscribers first, so compile again rather than caching the result.
+const segmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  rules: {
+    statuses: [{
+      type: String,
+      enum: ['pending', 'active', 'inactive', 'unsubscribed']
+    }],
+    sources: [{
+      type: String,
+      enum: ['footer', 'contact', 'manual', 'other']
+    }],
+    // true: opted in, false: opted out
+    preferences: {
+      newsletters: { type: Boolean },
+      projectUpdates: { type: Boolean },
+      techInsights: { type: Boolean }
+    },
+    signedUpAfter: {
+      type: Date
+    },
+    signedUpBefore: {
+      type: Date
+    },
+    // true: has a first or last name, false: has neither
+    hasName: {
+      type: Boolean
+    },
+    eventRegistration: {
+      // true: has a matching registration, false: has none
+      registered: { type: Boolean },
+      eventIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Event' }],
+      statuses: [{ type: String, enum: ['pending', 'confirmed', 'cancelled', 'attended'] }],
+      since: { type: Date }
+    },
+    engagement: {
+      // Look at the most recent N sent campaigns
+      lastCampaigns: { type: Number, min: 1, max: 50 },
+      // 'opened' also counts clicks, since a click implies an open
+      activity: { type: String, enum: ['opened', 'clicked'], default: 'opened' },
+      // false selects subscribers who were sent at least one of those campaigns and engaged with none
+      engaged: { type: Boolean, default: true }
+    }
+  },
+  createdBy: {
+    type: String
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+segmentSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const isSet = (value) => typeof value === 'boolean';
+
+// Static method to compile a rule set into a Subscription query
+segmentSchema.statics.compileRules = async function(rules = {}) {
+  const conditions = [];
+
+  if (rules.statuses?.length) conditions.push({ status: { $in: rules.statuses } });
+  if (rules.sources?.length) conditions.push({ source: { $in: rules.sources } });
+
+  for (const flag of PREFERENCE_FLAGS) {
+    const wanted = rules.preferences?.[flag];
+    // Flags default to true, so a missing flag counts as opted in
+    if (isSet(wanted)) conditions.push({ [`preferences.${flag}`]: wanted ? { $ne: false } : false });
+  }
+
+  if (rules.signedUpAfter || rules.signedUpBefore) {
+    const createdAt = {};
+    if (rules.signedUpAfter) createdAt.$gte = new Date(rules.signedUpAfter);
+    if (rules.signedUpBefore) createdAt.$lte = new Date(rules.signedUpBefore);
+    conditions.push({ createdAt });
+  }
+
+  if (isSet(rules.hasName)) {
+    const blank = [null, ''];
+    conditions.push(rules.hasName
+      ? { $or: [{ firstName: { $nin: blank } }, { lastName: { $nin: blank } }] }
+      : { firstName: { $in: blank }, lastName: { $in: blank } });
+  }
+
+  const registration = rules.eventRegistration;
+  if (isSet(registration?.registered)) {
+    const filter = {};
+    if (registration.eventIds?.length) filter.eventId = { $in: registration.eventIds };
+    if (registration.statuses?.length) filter.status = { $in: registration.statuses };
+    if (registration.since) filter.registeredAt = { $gte: new Date(registration.since) };
+
+    const emails = await mongoose.model('EventRegistration').distinct('email', filter);
+    conditions.push({ email: registration.registered ? { $in: emails } : { $nin: emails } });
+  }
+
+  const engagement = rules.engagement;
+  if (engagement?.lastCampaigns) {
+    const campaigns = await mongoose.model('Campaign')
+      .find({ status: 'sent' })
+      .sort({ completedAt: -1 })
+      .limit(engagement.lastCampaigns)
+      .select('_id');
+    const field = engagement.activity === 'clicked' ? 'clickedAt' : 'openedAt';
+
+    const CampaignDelivery = mongoose.model('CampaignDelivery');
+    const campaignIds = campaigns.map(c => c._id);
+    const engagedIds = await CampaignDelivery.distinct('subscriptionId', {
+      campaignId: { $in: campaignIds },
+      [field]: { $ne: null }
+    });
+
+    if (engagement.engaged === false) {
+      // Only people who actually received something can be said not to have engaged
+      const sentIds = await CampaignDelivery.distinct('subscriptionId', {
+        campaignId: { $in: campaignIds },
+        status: 'sent'
+      });
+      conditions.push({ _id: { $in: sentIds, $nin: engagedIds } });
+    } else {
+      conditions.push({ _id: { $in: engagedIds } });
+    }
+  }
+
+  return conditions.length ? { $and: conditions } : {};
+};
+
+// Method to compile this segment's rules
+segmentSchema.methods.compile = function() {
+  return this.constructor.compileRules(this.rules);
+};
+
+module.exports = mongoose.model('Segment', segmentSchema);
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { normalizeEmail } = require('../utils/emailAddress');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum gap between newsletters for each delivery frequency. A newsletter that arrives inside
+// the gap is held back and goes out with any others in one digest once the gap ends.
+const FREQUENCY_INTERVAL_DAYS = { immediate: 0, weekly: 7, monthly: 30 };
+const PREFERENCE_FLAGS = ['newsletters', 'projectUpdates', 'techInsights'];
 
 const subscriptionSchema = new mongoose.Schema({
   email: {
@@ -9,6 +17,11 @@ const subscriptionSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Normalised `email` (see Person.normalizeEmail), so a person's records are found whichever
+  // spelling they used
+  normalizedEmail: {
+    type: String
+  },
   firstName: {
     type: String,
     trim: true,
@@ -21,8 +34,9 @@ const subscriptionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'unsubscribed'],
-    default: 'active'
+    // New subscriptions stay pending until the address owner confirms by email
+    enum: ['pending', 'active', 'inactive', 'unsubscribed'],
+    default: 'pending'
   },
   source: {
     type: String,
@@ -43,6 +57,16 @@ const subscriptionSchema = new mongoose.Schema({
       default: true
     }
   },
+  // At most one email per period; newsletters inside the period are held for a digest
+  frequency: {
+    type: String,
+    enum: Object.keys(FREQUENCY_INTERVAL_DAYS),
+    default: 'immediate'
+  },
+  // Newsletters are held back until this date
+  pausedUntil: {
+    type: Date
+  },
   lastEmailSent: {
     type: Date
   },
@@ -50,6 +74,17 @@ const subscriptionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  confirmationSentAt: {
+    type: Date
+  },
+  // Status a returning subscriber had before re-subscribing, restored if they never confirm
+  previousStatus: {
+    type: String,
+    enum: ['inactive', 'unsubscribed']
+  },
+  confirmedAt: {
+    type: Date
+  },
   unsubscribedAt: {
     type: Date
   },
@@ -64,6 +99,7 @@ const subscriptionSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 subscriptionSchema.index({ status: 1 });
+subscriptionSchema.index({ status: 1, confirmationSentAt: 1 });
 subscriptionSchema.index({ createdAt: -1 });
 
 // Virtual for full name
@@ -82,6 +118,16 @@ subscriptionSchema.methods.unsubscribe = function(reason = '') {
   return this.save();
 };
 
+// Method to confirm a pending subscription
+subscriptionSchema.methods.confirm = function() {
+  this.status = 'active';
+  this.confirmedAt = new Date();
+  this.previousStatus = undefined;
+  this.unsubscribedAt = undefined;
+  this.unsubscribedReason = '';
+  return this.save();
+};
+
 // Method to reactivate subscription
 subscriptionSchema.methods.reactivate = function() {
   this.status = 'active';
@@ -102,16 +148,93 @@ subscriptionSchema.statics.getStats = function() {
   ]);
 };
 
+// Static method to clear out subscriptions nobody confirmed. Brand new ones are deleted;
+// returning subscribers who never re-confirmed go back to the status they had, so an opt-out
+// or a deactivation is kept.
+subscriptionSchema.statics.purgeUnconfirmed = async function(olderThan) {
+  const stale = { status: 'pending', confirmationSentAt: { $lt: olderThan } };
+
+  const restored = await this.updateMany(
+    { ...stale, previousStatus: { $exists: true } },
+    [{ $set: { status: '$previousStatus' } }, { $unset: 'previousStatus' }]
+  );
+  // Returning subscribers from before previousStatus was recorded
+  const reverted = await this.updateMany(
+    { ...stale, $or: [{ unsubscribedAt: { $exists: true } }, { confirmedAt: { $exists: true } }] },
+    { $set: { status: 'unsubscribed' } }
+  );
+  const deleted = await this.deleteMany(stale);
+
+  return { deleted: deleted.deletedCount, reverted: restored.modifiedCount + reverted.modifiedCount };
+};
+
+// Static method to say why a subscriber must not get a newsletter in `category`, or null if they can.
+// Works on documents and plain objects alike.
+subscriptionSchema.statics.ineligibilityReason = function(subscriber, category = 'newsletters', now = new Date()) {
+  if (subscriber.status !== 'active') return `status:${subscriber.status}`;
+  if (subscriber.pausedUntil && new Date(subscriber.pausedUntil) > now) return 'paused';
+  if (PREFERENCE_FLAGS.includes(category) && subscriber.preferences?.[category] === false) return `opted-out:${category}`;
+
+  const nextAt = this.nextNewsletterAt(subscriber);
+  if (nextAt && nextAt > now) return `frequency:${subscriber.frequency}`;
+  return null;
+};
+
+// Static method to get when a subscriber's frequency allows their next newsletter, or null if
+// it never holds them back. Works on documents and plain objects alike.
+subscriptionSchema.statics.nextNewsletterAt = function(subscriber) {
+  const intervalDays = FREQUENCY_INTERVAL_DAYS[subscriber.frequency || 'immediate'];
+  if (!intervalDays || !subscriber.lastEmailSent) return null;
+  return new Date(new Date(subscriber.lastEmailSent).getTime() + intervalDays * DAY_MS);
+};
+
+// Static query for everyone a newsletter in `category` is addressed to, including subscribers
+// held back by a pause or their frequency window
+subscriptionSchema.statics.newsletterRecipientQuery = function(category = 'newsletters') {
+  const query = { status: 'active' };
+  if (PREFERENCE_FLAGS.includes(category)) query[`preferences.${category}`] = { $ne: false };
+  return query;
+};
+
+// Static query for subscribers who may get a newsletter in `category` right now
+subscriptionSchema.statics.newsletterAudienceQuery = function(category = 'newsletters', now = new Date()) {
+  return {
+    ...this.newsletterRecipientQuery(category),
+    $and: [
+      { $or: [{ pausedUntil: { $exists: false } }, { pausedUntil: null }, { pausedUntil: { $lte: now } }] },
+      {
+        $or: Object.entries(FREQUENCY_INTERVAL_DAYS).map(([frequency, days]) => (
+          days
+            ? { frequency, $or: [{ lastEmailSent: { $exists: false } }, { lastEmailSent: { $lte: new Date(now - days * DAY_MS) } }] }
+            : { $or: [{ frequency }, { frequency: { $exists: false } }] }
+        ))
+      }
+    ]
+  };
+};
+
+// Static method to note a delivered newsletter
+subscriptionSchema.statics.recordEmailSent = function(subscriptionId, at = new Date()) {
+  if (!subscriptionId) return Promise.resolve();
+  return this.updateOne({ _id: subscriptionId }, { $set: { lastEmailSent: at }, $inc: { emailCount: 1 } });
+};
+
+subscriptionSchema.statics.FREQUENCIES = Object.keys(FREQUENCY_INTERVAL_DAYS);
+subscriptionSchema.statics.PREFERENCE_FLAGS = PREFERENCE_FLAGS;
+
 // Static method to get active subscribers count
 subscriptionSchema.statics.getActiveCount = function() {
   return this.countDocuments({ status: 'active' });
 };
 
-// Pre-save middleware to ensure email is lowercase
+// Pre-save middleware to ensure email is lowercase and keep the normalised address in step
 subscriptionSchema.pre('save', function(next) {
   if (this.email) {
     this.email = this.email.toLowerCase();
   }
+  if (this.isModified('email') || !this.normalizedEmail) {
+    this.normalizedEmail = normalizeEmail(this.email);
+  }
   next();
 });
 
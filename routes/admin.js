@@ -1,16 +1,142 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../utils/authMiddleware');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+const AdminUser = require('../models/AdminUser');
+const AdminSession = require('../models/AdminSession');
+const LoginAttempt = require('../models/LoginAttempt');
+const AdminToken = require('../models/AdminToken');
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken, requirePermission, rejectApiKeys } = require('../utils/authMiddleware');
+const { ROLES, API_KEY_SCOPES, getRolePermissions, userHasPermission } = require('../utils/permissions');
+const { logAudit, auditChange, snapshot } = require('../utils/auditService');
+const totp = require('../utils/totp');
+const emailService = require('../utils/emailService');
 
 const router = express.Router();
 
-// Hardcoded hashed password for '123456789' - In production, store hashed password in .env
-const ADMIN_PASSWORD_HASH = '$2a$10$rBV2JzS5VhWzXJNKvKkYzO5Y5Y5Y5Y5Y5Y5Y5Y5Y5Y5Y5Y5Y5Y5Y';
+// Account, session and credential management is for signed-in humans only
+router.use(rejectApiKeys);
+
+const REFRESH_COOKIE = 'refreshToken';
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const RESET_TOKEN_TTL_MINUTES = 60;
+const INVITE_TOKEN_TTL_HOURS = 72;
+
+// Rate limiters
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { success: false, message: 'Too many login attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { success: false, message: 'Too many password reset requests. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const twoFactorLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 5,
+  message: { success: false, message: 'Too many two-factor attempts. Please try again in a minute.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Short-lived access token bound to a session; the refresh cookie keeps editors logged in
+function signAccessToken(user, session) {
+  return jwt.sign(
+    {
+      id: user._id.toString(),
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      sid: session._id.toString()
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  );
+}
+
+function refreshCookieOptions() {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    // The admin frontend lives on another origin in production, which needs SameSite=None
+    sameSite: production ? 'none' : 'lax',
+    path: '/api/admin'
+  };
+}
+
+function setRefreshCookie(res, refreshToken, session) {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(), expires: session.expiresAt });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+}
+
+// Proves the password step passed; only accepted by /login/2fa, never as an access token
+function signChallengeToken(user) {
+  return jwt.sign(
+    { id: user._id.toString(), purpose: 'two-factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+}
+
+// Check a TOTP code or, failing that, a one-time recovery code. Mutates the user on success.
+function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) return user.verifyTwoFactorCode(code);
+  if (recoveryCode) return user.useRecoveryCode(recoveryCode);
+  return false;
+}
+
+// Start a session for the user, set the refresh cookie and return the access token
+async function issueSession(user, req, res) {
+  const { session, refreshToken } = await AdminSession.createForUser(user, req);
+  setRefreshCookie(res, refreshToken, session);
+  return signAccessToken(user, session);
+}
+
+// Link into the admin frontend that carries an emailed token
+function adminAppUrl(page, token) {
+  const base = (process.env.ADMIN_APP_URL || 'http://localhost:5173/admin').replace(/\/+$/, '');
+  return `${base}/${page}?token=${encodeURIComponent(token)}`;
+}
+
+// Only used once the password is known to be right; the password step answers a locked account
+// like a wrong password so it can't be used to find out which usernames exist
+function sendLocked(res, user) {
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: 'Account is temporarily locked after too many failed attempts',
+    retryAfter
+  });
+}
+
+// Final step shared by password-only and 2FA logins
+async function completeLogin(user, req, res) {
+  user.resetLoginFailures();
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  await LoginAttempt.record(req, { username: req.body.username || user.username, user, outcome: 'success' });
+  await logAudit('login', 'admin-user', user._id, req, { username: user.username }, { id: user._id.toString(), email: user.email });
+
+  return issueSession(user, req, res);
+}
 
 // Admin login route
-router.post('/login', [
+router.post('/login', loginLimiter, [
   body('username').notEmpty().withMessage('Username is required'),
   body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
@@ -19,32 +145,585 @@ router.post('/login', [
     return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  const { username, password } = req.body;
+  try {
+    const { username, password } = req.body;
+
+    // First login on a fresh database seeds the owner account from env vars
+    await AdminUser.bootstrapFromEnv();
+
+    // Username field accepts either the username or the email address
+    const user = await AdminUser.findByLogin(username);
+    if (!user) {
+      await LoginAttempt.record(req, { username, outcome: 'invalid-credentials' });
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    // Checked before the password so a locked account cannot be used as a password oracle
+    if (user.isLocked) {
+      await LoginAttempt.record(req, { username, user, outcome: 'locked' });
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      await user.registerFailedLogin();
+      await LoginAttempt.record(req, { username, user, outcome: 'invalid-credentials' });
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    if (!user.active) {
+      await LoginAttempt.record(req, { username, user, outcome: 'inactive' });
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      await LoginAttempt.record(req, { username, user, outcome: '2fa-required' });
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user)
+      });
+    }
+
+    const token = await completeLogin(user, req, res);
+
+    res.json({ success: true, message: 'Login successful', token, user });
+  } catch (error) {
+    console.error('❌ Admin login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed', error: error.message });
+  }
+});
+
+// Second login step for accounts with 2FA (POST /api/admin/login/2fa)
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Code or recovery code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  let challenge;
+  try {
+    challenge = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+  } catch {
+    return res.status(401).json({ success: false, message: 'Challenge expired, please log in again' });
+  }
+  if (challenge.purpose !== 'two-factor') {
+    return res.status(401).json({ success: false, message: 'Invalid challenge token' });
+  }
+
+  try {
+    const user = await AdminUser.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.active || !user.twoFactor?.enabled) {
+      return res.status(401).json({ success: false, message: 'Invalid challenge token' });
+    }
+
+    if (user.isLocked) {
+      await LoginAttempt.record(req, { username: user.username, user, outcome: 'locked' });
+      return sendLocked(res, user);
+    }
+
+    if (!verifySecondFactor(user, req.body)) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.registerFailedLogin();
+      await LoginAttempt.record(req, { username: user.username, user, outcome: 'failed-2fa' });
+      await logAudit('failed-2fa', 'admin-user', user._id, req, {
+        username: user.username,
+        stage: 'login',
+        method: req.body.code ? 'totp' : 'recovery-code'
+      }, { id: user._id.toString(), email: user.email });
+      if (user.isLocked) return sendLocked(res, user);
+      return res.status(401).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    const token = await completeLogin(user, req, res);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      user,
+      ...(req.body.code ? {} : { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    console.error('❌ Two-factor login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed', error: error.message });
+  }
+});
+
+// Exchange the refresh cookie for a new access token, rotating the refresh token (POST /api/admin/refresh)
+router.post('/refresh', async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE];
+  if (!refreshToken) {
+    return res.status(401).json({ success: false, message: 'Refresh token required' });
+  }
+
+  try {
+    const session = await AdminSession.findByToken(refreshToken);
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked, so the whole session is burned
+      const reused = await AdminSession.findByRotatedToken(refreshToken);
+      if (reused && !reused.revokedAt) {
+        console.warn('⚠️  Refresh token reuse detected, revoking session:', reused._id);
+        await reused.revoke();
+      }
+      clearRefreshCookie(res);
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    if (!session.active) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ success: false, message: 'Session expired or revoked' });
+    }
+
+    const user = await AdminUser.findById(session.userId);
+    if (!user || !user.active) {
+      await session.revoke();
+      clearRefreshCookie(res);
+      return res.status(401).json({ success: false, message: 'Account is no longer active' });
+    }
+
+    const nextRefreshToken = await session.rotate();
+    setRefreshCookie(res, nextRefreshToken, session);
+
+    res.json({ success: true, message: 'Token refreshed', token: signAccessToken(user, session), user });
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({ success: false, message: 'Failed to refresh token', error: error.message });
+  }
+});
+
+// Revoke the current session and clear the refresh cookie (POST /api/admin/logout)
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE];
+    if (refreshToken) {
+      const session = await AdminSession.findByToken(refreshToken);
+      if (session && !session.revokedAt) await session.revoke();
+    }
+    clearRefreshCookie(res);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to log out', error: error.message });
+  }
+});
+
+// ================== PASSWORD RESET ==================
+
+// Email a reset link (POST /api/admin/forgot-password). Always answers the same way so it cannot be used to probe accounts.
+router.post('/forgot-password', passwordResetLimiter, [
+  body('email').isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await AdminUser.findOne({ email: req.body.email.toLowerCase(), active: true });
+
+    if (user) {
+      // Only the newest link works
+      await AdminToken.invalidate({ purpose: 'password-reset', userId: user._id });
+      const { token } = await AdminToken.issue('password-reset', { userId: user._id }, RESET_TOKEN_TTL_MINUTES);
+
+      // Send in the background so response time does not reveal whether the account exists
+      emailService.sendPasswordReset(user, adminAppUrl('reset-password', token), RESET_TOKEN_TTL_MINUTES)
+        .catch(err => console.error('Failed to send password reset email:', err.message));
+    }
+
+    res.json({ success: true, message: 'If that email belongs to an admin account, a reset link has been sent' });
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to process request', error: error.message });
+  }
+});
+
+// Set a new password with an emailed token (POST /api/admin/reset-password)
+router.post('/reset-password', passwordResetLimiter, [
+  body('token').notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const resetToken = await AdminToken.redeem('password-reset', req.body.token);
+    if (!resetToken) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset link' });
+    }
+
+    const user = await AdminUser.findById(resetToken.userId);
+    if (!user || !user.active) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset link' });
+    }
+
+    await user.setPassword(req.body.password);
+    user.resetLoginFailures();
+    await user.save();
+
+    await AdminToken.invalidate({ purpose: 'password-reset', userId: user._id });
+    await AdminSession.revokeAllForUser(user._id);
+    clearRefreshCookie(res);
+
+    await logAudit('password-reset', 'admin-user', user._id, req, { username: user.username }, { id: user._id.toString(), email: user.email });
+
+    res.json({ success: true, message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset password', error: error.message });
+  }
+});
+
+// ================== INVITATIONS ==================
+
+// Look up an invitation before accepting it (GET /api/admin/invitations/accept/:token)
+router.get('/invitations/accept/:token', async (req, res) => {
+  try {
+    const invite = await AdminToken.findValid('invite', req.params.token);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: 'Invitation is invalid or has expired' });
+    }
+    res.json({
+      success: true,
+      invitation: { email: invite.email, name: invite.name, role: invite.role, expiresAt: invite.expiresAt }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch invitation', error: error.message });
+  }
+});
+
+// Accept an invitation and create the account (POST /api/admin/invitations/accept)
+router.post('/invitations/accept', passwordResetLimiter, [
+  body('token').notEmpty().withMessage('Token is required'),
+  body('username').trim().notEmpty().withMessage('Username is required'),
+  body('name').optional().isString().withMessage('Name must be a string'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const invite = await AdminToken.redeem('invite', req.body.token);
+    if (!invite) {
+      return res.status(400).json({ success: false, message: 'Invitation is invalid or has expired' });
+    }
+
+    let user;
+    try {
+      user = new AdminUser({
+        username: req.body.username,
+        email: invite.email,
+        name: req.body.name || invite.name,
+        role: invite.role
+      });
+      await user.setPassword(req.body.password);
+      await user.save();
+    } catch (error) {
+      // Give the token back so the invitee can retry with another username
+      await AdminToken.updateOne({ _id: invite._id }, { $unset: { usedAt: 1 } });
+      throw error;
+    }
+
+    await logAudit('create', 'admin-user', user._id, req, { username: user.username, role: user.role, via: 'invite' }, { id: user._id.toString(), email: user.email });
+
+    const token = await completeLogin(user, req, res);
+
+    res.status(201).json({ success: true, message: 'Account created', token, user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A user with this username or email already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Accept invitation error:', error);
+    res.status(500).json({ success: false, message: 'Failed to accept invitation', error: error.message });
+  }
+});
+
+// List pending invitations (GET /api/admin/invitations)
+router.get('/invitations', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const invitations = await AdminToken.find({
+      purpose: 'invite',
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.json({ success: true, invitations });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch invitations', error: error.message });
+  }
+});
+
+// Invite a new admin by email (POST /api/admin/invitations)
+router.post('/invitations', authenticateToken, requirePermission('users:manage'), [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('name').optional().isString().withMessage('Name must be a string'),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const email = req.body.email.toLowerCase();
+    const role = req.body.role || 'editor';
+
+    if (await AdminUser.exists({ email })) {
+      return res.status(400).json({ success: false, message: 'A user with this email already exists' });
+    }
+
+    // Re-inviting replaces any earlier link
+    await AdminToken.invalidate({ purpose: 'invite', email });
+    const { doc: invitation, token } = await AdminToken.issue('invite', {
+      email,
+      name: req.body.name,
+      role,
+      createdBy: req.user.id
+    }, INVITE_TOKEN_TTL_HOURS * 60);
+
+    try {
+      await emailService.sendAdminInvitation(
+        invitation,
+        adminAppUrl('accept-invite', token),
+        req.user.username || req.user.email,
+        INVITE_TOKEN_TTL_HOURS
+      );
+    } catch (emailError) {
+      await AdminToken.invalidate({ _id: invitation._id });
+      return res.status(502).json({ success: false, message: 'Failed to send invitation email', error: emailError.message });
+    }
+
+    await logAudit('invite', 'admin-user', invitation._id, req, { email, role });
+
+    res.status(201).json({ success: true, message: 'Invitation sent', invitation });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to send invitation', error: error.message });
+  }
+});
+
+// Revoke a pending invitation (DELETE /api/admin/invitations/:id)
+router.delete('/invitations/:id', authenticateToken, requirePermission('users:manage'), [
+  param('id').isMongoId().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await AdminToken.invalidate({ _id: req.params.id, purpose: 'invite' });
+    if (!result.modifiedCount) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+    res.json({ success: true, message: 'Invitation revoked' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to revoke invitation', error: error.message });
+  }
+});
+
+// ================== SESSIONS ==================
+
+// List the current user's active sessions (GET /api/admin/sessions)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await AdminSession.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.user.sid
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch sessions', error: error.message });
+  }
+});
+
+// Revoke every session of the current user except this one (DELETE /api/admin/sessions)
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await AdminSession.revokeAllForUser(req.user.id, req.user.sid);
+    res.json({ success: true, message: 'Other sessions revoked', revoked: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to revoke sessions', error: error.message });
+  }
+});
+
+// Revoke one of the current user's sessions (DELETE /api/admin/sessions/:id)
+router.delete('/sessions/:id', authenticateToken, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const session = await AdminSession.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+    if (!session.revokedAt) await session.revoke();
+    if (session._id.toString() === req.user.sid) clearRefreshCookie(res);
+
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to revoke session', error: error.message });
+  }
+});
+
+// ================== TWO-FACTOR AUTHENTICATION ==================
+
+// Current user's 2FA status (GET /api/admin/2fa)
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await AdminUser.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    res.json({
+      success: true,
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt,
+      recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch 2FA status', error: error.message });
+  }
+});
+
+// Start enrollment: returns a new secret and otpauth URI for the authenticator app (POST /api/admin/2fa/setup)
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await AdminUser.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email, process.env.TOTP_ISSUER || 'Portfolio Admin')
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to start 2FA setup', error: error.message });
+  }
+});
+
+// Finish enrollment with a first code; returns the recovery codes once (POST /api/admin/2fa/confirm)
+router.post('/2fa/confirm', authenticateToken, twoFactorLimiter, [
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await AdminUser.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+      await logAudit('failed-2fa', 'admin-user', user._id, req, { stage: 'enrollment' });
+      return res.status(400).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await logAudit('enable-2fa', 'admin-user', user._id, req, { username: user.username });
+
+    res.json({ success: true, message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to enable 2FA', error: error.message });
+  }
+});
 
-  // Check username against environment variable
-  if (username !== process.env.ADMIN_USERNAME) {
-    return res.status(401).json({ success: false, message: 'Invalid credentials' });
+// Replace the recovery codes (POST /api/admin/2fa/recovery-codes)
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorLimiter, [
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  // Check password against environment variable (for backward compatibility) 
-  // OR compare with hashed password if set
-  let passwordValid = false;
-  if (process.env.ADMIN_PASSWORD_HASH) {
-    passwordValid = await bcrypt.compare(password, process.env.ADMIN_PASSWORD_HASH);
-  } else if (process.env.ADMIN_PASSWORD) {
-    passwordValid = password === process.env.ADMIN_PASSWORD;
-  } else {
-    return res.status(500).json({ success: false, message: 'Server configuration error' });
+  try {
+    const user = await AdminUser.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      await logAudit('failed-2fa', 'admin-user', user._id, req, { stage: 'recovery-codes' });
+      return res.status(400).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({ success: true, message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to regenerate recovery codes', error: error.message });
   }
+});
 
-  if (!passwordValid) {
-    return res.status(401).json({ success: false, message: 'Invalid credentials' });
+// Turn 2FA off; needs the password plus a code or recovery code (POST /api/admin/2fa/disable)
+router.post('/2fa/disable', authenticateToken, twoFactorLimiter, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Code or recovery code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  // Generate JWT token
-  const token = jwt.sign({ username }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  try {
+    const user = await AdminUser.findById(req.user.id).select(`+passwordHash ${TWO_FACTOR_FIELDS}`);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await user.comparePassword(req.body.password)) || !verifySecondFactor(user, req.body)) {
+      await logAudit('failed-2fa', 'admin-user', user._id, req, { stage: 'disable' });
+      return res.status(400).json({ success: false, message: 'Invalid password or two-factor code' });
+    }
 
-  res.json({ success: true, message: 'Login successful', token });
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await logAudit('disable-2fa', 'admin-user', user._id, req, { username: user.username });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to disable 2FA', error: error.message });
+  }
 });
 
 // Protected admin route
@@ -52,4 +731,353 @@ router.get('/', authenticateToken, (req, res) => {
   res.json({ success: true, message: 'Admin route is working', user: req.user });
 });
 
+// Permissions granted to the current user (GET /api/admin/me/permissions)
+router.get('/me/permissions', authenticateToken, (req, res) => {
+  res.json({ success: true, role: req.user.role, permissions: getRolePermissions(req.user.role) });
+});
+
+// ================== ADMIN USER MANAGEMENT ==================
+
+const validateUserId = [
+  param('id').isMongoId().withMessage('Invalid user ID')
+];
+
+// Refuse to remove, deactivate or demote the last active owner, which would lock everyone out
+async function isLastActiveOwner(user) {
+  if (!user.active || user.role !== 'owner') return false;
+  const ownerCount = await AdminUser.countDocuments({ active: true, role: 'owner' });
+  return ownerCount <= 1;
+}
+
+// List admin users (GET /api/admin/users)
+router.get('/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ createdAt: 1 });
+    res.json({ success: true, users });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch users', error: error.message });
+  }
+});
+
+// Get a single admin user (GET /api/admin/users/:id)
+router.get('/users/:id', authenticateToken, requirePermission('users:manage'), validateUserId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch user', error: error.message });
+  }
+});
+
+// Create an admin user (POST /api/admin/users)
+router.post('/users', authenticateToken, requirePermission('users:manage'), [
+  body('username').trim().notEmpty().withMessage('Username is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('name').optional().isString().withMessage('Name must be a string'),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { username, email, name, role, password } = req.body;
+
+    const user = new AdminUser({ username, email, name, role });
+    await user.setPassword(password);
+    await user.save();
+
+    await auditChange('create', 'admin-user', req, { after: user, details: { username: user.username } });
+
+    res.status(201).json({ success: true, message: 'User created successfully', user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A user with this username or email already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to create user', error: error.message });
+  }
+});
+
+// Update an admin user (PUT /api/admin/users/:id)
+router.put('/users/:id', authenticateToken, requirePermission('users:manage'), [
+  ...validateUserId,
+  body('username').optional().trim().notEmpty().withMessage('Username cannot be empty'),
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('name').optional().isString().withMessage('Name must be a string'),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('password').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('active').optional().isBoolean().withMessage('Active must be a boolean')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const { username, email, name, role, password, active } = req.body;
+
+    const losingOwner = active === false || (role !== undefined && role !== 'owner');
+    if (losingOwner && await isLastActiveOwner(user)) {
+      return res.status(400).json({ success: false, message: 'Cannot deactivate or demote the last active owner' });
+    }
+
+    const before = snapshot(user);
+
+    if (username !== undefined) user.username = username;
+    if (email !== undefined) user.email = email;
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = active;
+    if (password) await user.setPassword(password);
+
+    // Role and active flag are baked into access tokens, so changes to them force a fresh login
+    const revokeSessions = user.isModified('role') || user.isModified('active') || !!password;
+
+    await user.save();
+
+    if (revokeSessions) await AdminSession.revokeAllForUser(user._id);
+
+    await auditChange('update', 'admin-user', req, { before, after: user, details: { username: user.username } });
+
+    res.json({ success: true, message: 'User updated successfully', user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A user with this username or email already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update user', error: error.message });
+  }
+});
+
+// Delete an admin user (DELETE /api/admin/users/:id)
+router.delete('/users/:id', authenticateToken, requirePermission('users:manage'), validateUserId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+    }
+
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    if (await isLastActiveOwner(user)) {
+      return res.status(400).json({ success: false, message: 'Cannot delete the last active owner' });
+    }
+
+    await user.deleteOne();
+    await AdminSession.revokeAllForUser(user._id);
+
+    await auditChange('delete', 'admin-user', req, { before: user, details: { username: user.username } });
+
+    res.json({ success: true, message: 'User deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete user', error: error.message });
+  }
+});
+
+// Reset 2FA for a user who lost their device (DELETE /api/admin/users/:id/2fa)
+router.delete('/users/:id/2fa', authenticateToken, requirePermission('users:manage'), validateUserId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await logAudit('disable-2fa', 'admin-user', user._id, req, { username: user.username, resetBy: req.user.username });
+
+    res.json({ success: true, message: 'Two-factor authentication reset' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to reset 2FA', error: error.message });
+  }
+});
+
+// Clear a lockout (POST /api/admin/users/:id/unlock)
+router.post('/users/:id/unlock', authenticateToken, requirePermission('users:manage'), validateUserId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const wasLocked = user.isLocked;
+    user.resetLoginFailures();
+    await user.save();
+
+    await logAudit('unlock', 'admin-user', user._id, req, { username: user.username, wasLocked });
+
+    res.json({ success: true, message: 'Account unlocked', user });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to unlock account', error: error.message });
+  }
+});
+
+// Sign a user out of every device (DELETE /api/admin/users/:id/sessions)
+router.delete('/users/:id/sessions', authenticateToken, requirePermission('users:manage'), validateUserId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await AdminSession.revokeAllForUser(req.params.id);
+    res.json({ success: true, message: 'Sessions revoked', revoked: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to revoke sessions', error: error.message });
+  }
+});
+
+// ================== LOGIN ATTEMPTS ==================
+
+// Recent failed login attempts (GET /api/admin/login-attempts)
+router.get('/login-attempts', authenticateToken, requirePermission('users:manage'), [
+  query('username').optional().isString().withMessage('Username must be a string'),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  query('ip').optional().isString().withMessage('IP must be a string'),
+  query('since').optional().isISO8601().withMessage('Invalid date format'),
+  query('includeSuccess').optional().isBoolean().withMessage('includeSuccess must be a boolean'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const filter = {};
+
+    if (req.query.includeSuccess !== 'true') {
+      filter.outcome = { $in: LoginAttempt.FAILURE_OUTCOMES };
+    }
+    if (req.query.username) filter.username = req.query.username.toLowerCase();
+    if (req.query.userId) filter.userId = req.query.userId;
+    if (req.query.ip) filter.ip = req.query.ip;
+    if (req.query.since) filter.timestamp = { $gte: new Date(req.query.since) };
+
+    const attempts = await LoginAttempt.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit);
+
+    const lockedUsers = await AdminUser.find({ lockUntil: { $gt: new Date() } })
+      .select('username email failedLoginCount lockUntil');
+
+    res.json({ success: true, attempts, lockedUsers });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch login attempts', error: error.message });
+  }
+});
+
+// ================== API KEYS ==================
+
+// List API keys (GET /api/admin/api-keys)
+router.get('/api-keys', authenticateToken, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'username email');
+    res.json({ success: true, apiKeys, availableScopes: API_KEY_SCOPES });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch API keys', error: error.message });
+  }
+});
+
+// Create an API key; the plain key is only returned here (POST /api/admin/api-keys)
+router.post('/api-keys', authenticateToken, requirePermission('api-keys:manage'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage('Invalid scope'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const scopes = [...new Set(req.body.scopes)];
+
+    // A key can never do more than the person who created it
+    const notGranted = scopes.find(scope => !userHasPermission(req.user, scope));
+    if (notGranted) {
+      return res.status(403).json({ success: false, message: `Missing permission: ${notGranted}`, permission: notGranted });
+    }
+
+    const expiresInDays = parseInt(req.body.expiresInDays) || 90;
+    const { apiKey, key } = await ApiKey.generate({
+      name: req.body.name,
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      createdBy: req.user.id
+    });
+
+    await logAudit('create', 'api-key', apiKey._id, req, { name: apiKey.name, prefix: apiKey.prefix, scopes });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      apiKey,
+      key
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to create API key', error: error.message });
+  }
+});
+
+// Revoke an API key (DELETE /api/admin/api-keys/:id)
+router.delete('/api-keys/:id', authenticateToken, requirePermission('api-keys:manage'), [
+  param('id').isMongoId().withMessage('Invalid API key ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) return res.status(404).json({ success: false, message: 'API key not found' });
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      await logAudit('revoke', 'api-key', apiKey._id, req, { name: apiKey.name, prefix: apiKey.prefix });
+    }
+
+    res.json({ success: true, message: 'API key revoked', apiKey });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to revoke API key', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
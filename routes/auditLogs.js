@@ -0,0 +1,211 @@
+const express = require('express');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const { param, query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const AuditLogArchive = require('../models/AuditLogArchive');
+const { authenticateToken, requirePermission } = require('../utils/authMiddleware');
+const { logAudit } = require('../utils/auditService');
+const { getRetentionConfig, runAuditRetention } = require('../utils/auditRetention');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const validateFilters = [
+  query('action').optional().isString().withMessage('Action must be a string'),
+  query('resource').optional().isString().withMessage('Resource must be a string'),
+  query('resourceId').optional().isMongoId().withMessage('Invalid resource ID'),
+  query('admin').optional().isString().withMessage('Admin must be a string'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+];
+
+// Translate query params into a Mongo filter. `action` accepts a comma-separated list,
+// `admin` an admin ID or email.
+function buildFilter(q) {
+  const filter = {};
+
+  if (q.action) {
+    const actions = q.action.split(',').map(a => a.trim()).filter(Boolean);
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+  if (q.resource) filter.resource = q.resource;
+  if (q.resourceId) filter.resourceId = q.resourceId;
+  if (q.admin) {
+    if (q.admin.includes('@')) {
+      filter.adminEmail = q.admin.toLowerCase();
+    } else {
+      filter.adminId = q.admin;
+    }
+  }
+  if (q.from || q.to) {
+    filter.timestamp = {};
+    if (q.from) filter.timestamp.$gte = new Date(q.from);
+    if (q.to) filter.timestamp.$lte = new Date(q.to);
+  }
+
+  return filter;
+}
+
+// Cursors point at the last entry of the previous page: "<timestamp ms>:<id>", base64url encoded
+function encodeCursor(entry) {
+  return Buffer.from(`${entry.timestamp.getTime()}:${entry._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [ms, id] = Buffer.from(cursor, 'base64url').toString().split(':');
+  const timestamp = new Date(Number(ms));
+  if (Number.isNaN(timestamp.getTime()) || !mongoose.isValidObjectId(id)) return null;
+  return { timestamp, id: new mongoose.Types.ObjectId(id) };
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '""';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+const CSV_COLUMNS = ['timestamp', 'action', 'resource', 'resourceId', 'adminId', 'adminEmail', 'ip', 'details'];
+
+function toCsvRow(entry) {
+  return CSV_COLUMNS.map(column => {
+    const value = entry[column];
+    return csvCell(value instanceof Date ? value.toISOString() : value);
+  }).join(',');
+}
+
+// Query audit logs with filters and cursor pagination (GET /api/admin/audit-logs)
+router.get('/', requirePermission('audit:read'), [
+  ...validateFilters,
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const filter = buildFilter(req.query);
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+      }
+      filter.$or = [
+        { timestamp: { $lt: cursor.timestamp } },
+        { timestamp: cursor.timestamp, _id: { $lt: cursor.id } }
+      ];
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await AuditLog.find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = rows.length > limit;
+    const logs = hasMore ? rows.slice(0, limit) : rows;
+
+    res.json({
+      success: true,
+      logs,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(logs[logs.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch audit logs', error: error.message });
+  }
+});
+
+// Stream matching audit logs as CSV or NDJSON (GET /api/admin/audit-logs/export)
+router.get('/export', requirePermission('audit:read'), [
+  ...validateFilters,
+  query('format').optional().isIn(['csv', 'ndjson']).withMessage('Format must be csv or ndjson')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const format = req.query.format || 'csv';
+  const filter = buildFilter(req.query);
+
+  try {
+    await logAudit('export', 'audit-log', undefined, req, { format, filter: req.query });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename=audit-logs-${stamp}.${format}`);
+
+    if (format === 'csv') res.write(CSV_COLUMNS.join(',') + '\n');
+
+    const cursor = AuditLog.find(filter).sort({ timestamp: -1, _id: -1 }).lean().cursor();
+    for await (const entry of cursor) {
+      const line = format === 'csv' ? toCsvRow(entry) : JSON.stringify(entry);
+      if (!res.write(line + '\n')) await once(res, 'drain');
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit logs:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, message: 'Failed to export audit logs', error: error.message });
+  }
+});
+
+// Everything that happened to one resource, oldest first (GET /api/admin/audit-logs/timeline/:resource/:resourceId)
+router.get('/timeline/:resource/:resourceId', requirePermission('audit:read'), [
+  param('resourceId').isMongoId().withMessage('Invalid resource ID'),
+  query('includeArchived').optional().isBoolean().withMessage('includeArchived must be a boolean'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const limit = parseInt(req.query.limit) || 500;
+    const filter = { resource: req.params.resource, resourceId: req.params.resourceId };
+
+    const live = await AuditLog.find(filter).sort({ timestamp: 1 }).limit(limit).lean();
+    const archived = req.query.includeArchived === 'true'
+      ? await AuditLogArchive.find(filter).sort({ timestamp: 1 }).limit(limit).lean()
+      : [];
+
+    const timeline = [...archived.map(entry => ({ ...entry, archived: true })), ...live]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      resource: req.params.resource,
+      resourceId: req.params.resourceId,
+      timeline
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch timeline', error: error.message });
+  }
+});
+
+// Current retention settings (GET /api/admin/audit-logs/retention)
+router.get('/retention', requirePermission('audit:manage'), (req, res) => {
+  res.json({ success: true, retention: getRetentionConfig() });
+});
+
+// Run the retention job now instead of waiting for the daily run (POST /api/admin/audit-logs/retention/run)
+router.post('/retention/run', requirePermission('audit:manage'), async (req, res) => {
+  try {
+    const result = await runAuditRetention();
+    res.json({ success: true, message: 'Retention job completed', result });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Retention job failed', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,9 @@ const path = require('path');
 const sanitizeHtml = require('sanitize-html');
 const { body, validationResult, param, query } = require('express-validator');
 const Blog = require('../models/Blog');
-const { authenticateToken } = require('../utils/authMiddleware');
+const { authenticateToken, requirePermission, denyPermission, isPublishChange } = require('../utils/authMiddleware');
+const { userHasPermission } = require('../utils/permissions');
+const { auditChange, actionForChanges, diffDocuments, snapshot } = require('../utils/auditService');
 
 const router = express.Router();
 const uploadsDir = path.join(__dirname, '..', 'uploads');
@@ -112,7 +114,7 @@ const upload = multer({
 });
 
 // Upload image route
-router.post('/upload-image', authenticateToken, (req, res) => {
+router.post('/upload-image', authenticateToken, requirePermission('blog:write'), (req, res) => {
   upload.single('image')(req, res, (error) => {
     if (error) {
       const statusCode = error instanceof multer.MulterError ? 400 : 500;
@@ -287,7 +289,7 @@ router.get('/categories', async (req, res) => {
 });
 
 // Get all blogs for admin (including unpublished) - PROTECTED ROUTE
-router.get('/admin/all', authenticateToken, async (req, res) => {
+router.get('/admin/all', authenticateToken, requirePermission('blog:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -356,7 +358,7 @@ router.get('/slug/:slug', [
 });
 
 // Get single blog by ID (for admin) — PROTECTED ROUTE
-router.get('/:id', authenticateToken, [
+router.get('/:id', authenticateToken, requirePermission('blog:read'), [
   param('id').isMongoId().withMessage('Invalid blog ID')
 ], async (req, res) => {
   try {
@@ -385,7 +387,7 @@ router.get('/:id', authenticateToken, [
 });
 
 // Create new blog - PROTECTED ROUTE
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, requirePermission('blog:write'), [
   body('title').notEmpty().withMessage('Title is required')
     .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
   body('slug').optional().isString().withMessage('Slug must be a string'),
@@ -425,6 +427,12 @@ router.post('/', authenticateToken, [
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
+    // New posts are published by default, so creating one counts as publishing unless it is a draft
+    const changes = { published: true, ...req.body };
+    if (isPublishChange(changes) && !userHasPermission(req.user, 'blog:publish')) {
+      return denyPermission(res, 'blog:publish');
+    }
+
     // Check if slug already exists
     if (req.body.slug) {
       const existingBlog = await Blog.findOne({ slug: req.body.slug });
@@ -449,6 +457,8 @@ router.post('/', authenticateToken, [
 
     const blog = new Blog(sanitizedBody);
     await blog.save();
+
+    await auditChange('create', 'blog', req, { after: blog, details: { title: blog.title } });
     
     res.status(201).json({ 
       success: true, 
@@ -472,7 +482,7 @@ router.post('/', authenticateToken, [
 });
 
 // Update blog - PROTECTED ROUTE
-router.put('/:id', authenticateToken, [
+router.put('/:id', authenticateToken, requirePermission('blog:write'), [
   param('id').isMongoId().withMessage('Invalid blog ID'),
   body('title').optional().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
   body('slug').optional().isString().withMessage('Slug must be a string'),
@@ -514,6 +524,10 @@ router.put('/:id', authenticateToken, [
       });
     }
 
+    if (isPublishChange(req.body, blog) && !userHasPermission(req.user, 'blog:publish')) {
+      return denyPermission(res, 'blog:publish');
+    }
+
     // Check if slug already exists (excluding current blog)
     if (req.body.slug && req.body.slug !== blog.slug) {
       const existingBlog = await Blog.findOne({ 
@@ -541,8 +555,13 @@ router.put('/:id', authenticateToken, [
       }),
     };
 
+    const before = snapshot(blog);
+
     Object.assign(blog, sanitizedBody);
     await blog.save();
+
+    const action = actionForChanges(diffDocuments(before, blog));
+    await auditChange(action, 'blog', req, { before, after: blog, details: { title: blog.title } });
     
     res.json({ 
       success: true, 
@@ -566,7 +585,7 @@ router.put('/:id', authenticateToken, [
 });
 
 // Delete blog - PROTECTED ROUTE
-router.delete('/:id', authenticateToken, [
+router.delete('/:id', authenticateToken, requirePermission('blog:delete'), [
   param('id').isMongoId().withMessage('Invalid blog ID')
 ], async (req, res) => {
   try {
@@ -592,6 +611,8 @@ router.delete('/:id', authenticateToken, [
     deleteImageFiles([...imageFilenames]);
 
     await Blog.findByIdAndDelete(req.params.id);
+
+    await auditChange('delete', 'blog', req, { before: blog, details: { title: blog.title } });
     
     res.json({ 
       success: true, 
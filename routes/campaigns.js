@@ -0,0 +1,87 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const campaignController = require('../controllers/campaignController');
+const Subscription = require('../models/Subscription');
+const { authenticateToken, requirePermission } = require('../utils/authMiddleware');
+
+const router = express.Router();
+
+// Open pixel and click redirect used in sent campaigns - public
+router.get('/track/open/:token', campaignController.trackOpen);
+router.get('/track/click/:deliveryId', campaignController.trackClick);
+
+// Everything below is admin only
+router.use(authenticateToken);
+
+const STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled', 'failed'];
+const DELIVERY_STATUSES = ['queued', 'sending', 'deferred', 'sent', 'failed', 'skipped'];
+const SOURCES = ['footer', 'contact', 'manual', 'other'];
+
+const validateId = param('id').isMongoId().withMessage('Invalid campaign ID');
+
+const validateCampaign = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    field('subject').trim().notEmpty().withMessage('Subject is required')
+      .isLength({ max: 300 }).withMessage('Subject cannot exceed 300 characters'),
+    field('html').isString().notEmpty().withMessage('HTML body is required')
+      .isLength({ max: 200000 }).withMessage('HTML body cannot exceed 200000 characters'),
+    body('text').optional().isString().isLength({ max: 100000 }).withMessage('Text body cannot exceed 100000 characters'),
+    body('segment').optional().isObject().withMessage('Segment must be an object'),
+    body('segment.category').optional().isIn(Subscription.PREFERENCE_FLAGS)
+      .withMessage(`Segment category must be one of: ${Subscription.PREFERENCE_FLAGS.join(', ')}`),
+    body('segment.sources').optional().isArray().withMessage('Segment sources must be an array'),
+    body('segment.sources.*').isIn(SOURCES).withMessage(`Sources must be one of: ${SOURCES.join(', ')}`),
+    body('segmentId').optional({ nullable: true }).isMongoId().withMessage('segmentId must be a valid ID')
+  ];
+};
+
+const validatePaging = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// List campaigns, newest first (GET /api/campaigns)
+router.get('/', requirePermission('campaigns:read'), [
+  ...validatePaging,
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`)
+], campaignController.getAllCampaigns);
+
+// Get a campaign with delivery counts (GET /api/campaigns/:id)
+router.get('/:id', requirePermission('campaigns:read'), [validateId], campaignController.getCampaignById);
+
+// Per-recipient delivery status (GET /api/campaigns/:id/deliveries)
+router.get('/:id/deliveries', requirePermission('campaigns:read', 'subscriptions:read'), [
+  validateId,
+  ...validatePaging,
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`)
+], campaignController.getCampaignDeliveries);
+
+// Preview the email and recipient count (GET /api/campaigns/:id/preview)
+router.get('/:id/preview', requirePermission('campaigns:read'), [validateId], campaignController.previewCampaign);
+
+// Create a draft campaign (POST /api/campaigns)
+router.post('/', requirePermission('campaigns:write'), validateCampaign(false), campaignController.createCampaign);
+
+// Update a draft campaign (PUT /api/campaigns/:id)
+router.put('/:id', requirePermission('campaigns:write'), [validateId, ...validateCampaign(true)], campaignController.updateCampaign);
+
+// Send a test to up to 5 addresses (POST /api/campaigns/:id/test)
+router.post('/:id/test', requirePermission('campaigns:write'), [
+  validateId,
+  body('emails').isArray({ min: 1, max: 5 }).withMessage('Provide between 1 and 5 email addresses'),
+  body('emails.*').isEmail().withMessage('Each test address must be a valid email')
+], campaignController.testSendCampaign);
+
+// Schedule a draft, immediately if scheduledAt is omitted (POST /api/campaigns/:id/schedule)
+router.post('/:id/schedule', requirePermission('campaigns:send'), [
+  validateId,
+  body('scheduledAt').optional().isISO8601().withMessage('scheduledAt must be an ISO 8601 date')
+], campaignController.scheduleCampaign);
+
+// Cancel a scheduled or sending campaign (POST /api/campaigns/:id/cancel)
+router.post('/:id/cancel', requirePermission('campaigns:send'), [validateId], campaignController.cancelCampaign);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const cannedResponseController = require('../controllers/cannedResponseController');
+const { authenticateToken, requirePermission } = require('../utils/authMiddleware');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const validateResponse = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().notEmpty().withMessage('Title is required')
+      .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+    field('body').isString().trim().notEmpty().withMessage('Body is required')
+      .isLength({ max: 20000 }).withMessage('Body cannot exceed 20000 characters'),
+    body('subject').optional().trim().isLength({ max: 300 }).withMessage('Subject cannot exceed 300 characters'),
+    body('category').optional().trim().isLength({ max: 50 }).withMessage('Category cannot exceed 50 characters')
+  ];
+};
+
+const validateContactTarget = [
+  param('id').isMongoId().withMessage('Invalid canned response ID'),
+  body('contactId').isMongoId().withMessage('Valid contactId is required'),
+  body('signature').optional().trim().isLength({ max: 100 }).withMessage('Signature cannot exceed 100 characters')
+];
+
+// List canned responses, most used first (GET /api/canned-responses)
+router.get('/', requirePermission('contacts:read'), [
+  query('category').optional().isString().withMessage('Category must be a string')
+], cannedResponseController.getAllCannedResponses);
+
+// Get a canned response (GET /api/canned-responses/:id)
+router.get('/:id', requirePermission('contacts:read'), cannedResponseController.getCannedResponseById);
+
+// Create a canned response (POST /api/canned-responses)
+router.post('/', requirePermission('contacts:write'), validateResponse(false), cannedResponseController.createCannedResponse);
+
+// Update a canned response (PUT /api/canned-responses/:id)
+router.put('/:id', requirePermission('contacts:write'), validateResponse(true), cannedResponseController.updateCannedResponse);
+
+// Delete a canned response (DELETE /api/canned-responses/:id)
+router.delete('/:id', requirePermission('contacts:write'), cannedResponseController.deleteCannedResponse);
+
+// Preview a canned response rendered for a contact (POST /api/canned-responses/:id/preview)
+router.post('/:id/preview', requirePermission('contacts:read'), validateContactTarget, cannedResponseController.previewCannedResponse);
+
+// Send a canned response to a contact as a reply (POST /api/canned-responses/:id/send)
+router.post('/:id/send', requirePermission('contacts:write'), [
+  ...validateContactTarget,
+  body('status').optional().isIn(['review', 'worked']).withMessage('Status must be review or worked')
+], cannedResponseController.sendCannedResponse);
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const CaseStudy = require('../models/CaseStudy');
-const { authenticateToken } = require('../utils/authMiddleware');
+const { authenticateToken, requirePermission } = require('../utils/authMiddleware');
+const { auditChange, actionForChanges, diffDocuments } = require('../utils/auditService');
 
 const router = express.Router();
 
@@ -64,7 +65,7 @@ router.get('/public', async (req, res) => {
 // Admin routes (auth required)
 
 // GET /api/case-studies/admin/all - Get all case studies for admin with filters
-router.get('/admin/all', authenticateToken, async (req, res) => {
+router.get('/admin/all', authenticateToken, requirePermission('case-studies:read'), async (req, res) => {
   try {
     const { search, category, page = 1, limit = 10 } = req.query;
 
@@ -114,7 +115,7 @@ router.get('/admin/all', authenticateToken, async (req, res) => {
 });
 
 // POST /api/case-studies - Create new case study
-router.post('/', authenticateToken, upload.single('thumbnail'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('case-studies:write'), upload.single('thumbnail'), async (req, res) => {
   try {
     const caseStudyData = req.body;
 
@@ -140,6 +141,8 @@ router.post('/', authenticateToken, upload.single('thumbnail'), async (req, res)
     const caseStudy = new CaseStudy(caseStudyData);
     await caseStudy.save();
 
+    await auditChange('create', 'case-study', req, { after: caseStudy, details: { title: caseStudy.title } });
+
     res.status(201).json({
       success: true,
       message: 'Case study created successfully',
@@ -156,7 +159,7 @@ router.post('/', authenticateToken, upload.single('thumbnail'), async (req, res)
 });
 
 // PUT /api/case-studies/:id - Update case study
-router.put('/:id', authenticateToken, upload.single('thumbnail'), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('case-studies:write'), upload.single('thumbnail'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -182,19 +185,24 @@ router.put('/:id', authenticateToken, upload.single('thumbnail'), async (req, re
       updateData.published = updateData.published === 'true' || updateData.published === true;
     }
 
-    const caseStudy = await CaseStudy.findByIdAndUpdate(
-      id,
-      { ...updateData, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    );
+    const before = await CaseStudy.findById(id);
 
-    if (!caseStudy) {
+    if (!before) {
       return res.status(404).json({
         success: false,
         message: 'Case study not found'
       });
     }
 
+    const caseStudy = await CaseStudy.findByIdAndUpdate(
+      id,
+      { ...updateData, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+
+    const action = actionForChanges(diffDocuments(before, caseStudy));
+    await auditChange(action, 'case-study', req, { before, after: caseStudy, details: { title: caseStudy.title } });
+
     res.json({
       success: true,
       message: 'Case study updated successfully',
@@ -211,7 +219,7 @@ router.put('/:id', authenticateToken, upload.single('thumbnail'), async (req, re
 });
 
 // DELETE /api/case-studies/:id - Delete case study
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('case-studies:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -232,6 +240,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    await auditChange('delete', 'case-study', req, { before: caseStudy, details: { title: caseStudy.title } });
+
     res.json({
       success: true,
       message: 'Case study deleted successfully'
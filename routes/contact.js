@@ -1,34 +1,145 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 const contactController = require('../controllers/contactController');
+const { authenticateToken, requirePermission } = require('../utils/authMiddleware');
+const { uploadAttachments } = require('../utils/contactAttachments');
 
 const router = express.Router();
 
-// Create a new contact (POST /api/contact)
+// Rate limiters
+const contactLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { success: false, message: 'Too many messages sent. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Get a signed form token to send back with the submission (GET /api/contact/form-token) - public
+router.get('/form-token', contactController.getFormToken);
+
+// Create a new contact (POST /api/contact) - public. Accepts JSON, or multipart with up to
+// five files in `attachments`. Spam scoring happens in the controller.
 router.post(
   '/',
+  contactLimiter,
+  uploadAttachments,
   [
-    body('name').notEmpty().withMessage('Name is required'),
+    body('name').trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
     body('email').isEmail().withMessage('Valid email is required'),
-    body('subject').notEmpty().withMessage('Subject is required'),
-    body('message').notEmpty().withMessage('Message is required')
+    body('mobile').optional().trim().isLength({ max: 20 }).withMessage('Mobile number cannot exceed 20 characters'),
+    body('subject').trim().notEmpty().withMessage('Subject is required')
+      .isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+    body('message').trim().notEmpty().withMessage('Message is required')
+      .isLength({ max: 2000 }).withMessage('Message cannot exceed 2000 characters')
   ],
   contactController.createContact
 );
 
+// Everything below is admin only
+router.use(authenticateToken);
+
+// Ingest a raw inbound email (POST /api/contact/inbound), e.g. from an MTA webhook using an API key
+router.post(
+  '/inbound',
+  requirePermission('contacts:write'),
+  express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: '10mb' }),
+  contactController.ingestEmail
+);
+
+// Apply one action to many contacts (POST /api/contact/bulk) - MUST be before /:id routes
+router.post('/bulk', requirePermission('contacts:write'), [
+  body('action').isIn(['set-status', 'set-priority', 'assign', 'tag', 'delete', 'mark-spam'])
+    .withMessage('Action must be one of: set-status, set-priority, assign, tag, delete, mark-spam'),
+  body('ids').optional().isArray({ min: 1, max: 1000 }).withMessage('ids must be an array of 1-1000 contact IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid contact ID'),
+  body('filter').optional().isObject().withMessage('Filter must be an object'),
+  body().custom(({ ids, filter }) => Boolean(ids) !== Boolean(filter) && (!filter || Object.keys(filter).length > 0))
+    .withMessage('Provide either ids or a non-empty filter'),
+  body('value').custom((value, { req }) => {
+    switch (req.body.action) {
+      case 'set-status': return ['pending', 'review', 'worked', 'done', 'rejected', 'spam'].includes(value);
+      case 'set-priority': return ['low', 'medium', 'high', 'urgent'].includes(value);
+      case 'assign': return value === null || /^[a-f0-9]{24}$/i.test(value);
+      case 'tag': return Array.isArray(value) && value.length > 0 && value.every(tag => typeof tag === 'string' && tag.trim() && tag.length <= 50);
+      default: return true;
+    }
+  }).withMessage('Invalid value for this action')
+], contactController.bulkUpdateContacts);
+
+// SLA compliance and overdue contacts (GET /api/contact/sla) - MUST be before /:id route
+router.get('/sla', requirePermission('contacts:read'), [
+  query('assignedTo').optional().custom(value => value === 'me' || value === 'none' || /^[a-f0-9]{24}$/i.test(value))
+    .withMessage('assignedTo must be an admin ID, me or none'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], contactController.getSlaReport);
+
+// Contact volume and response times over time (GET /api/contact/stats/timeseries) - MUST be before /:id route
+router.get('/stats/timeseries', requirePermission('contacts:read'), [
+  query('interval').optional().isIn(['day', 'week', 'month']).withMessage('Interval must be day, week or month'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  query('status').optional().isString().withMessage('Status must be a string'),
+  query('priority').optional().isString().withMessage('Priority must be a string'),
+  query('timezone').optional().custom(contactController.isValidTimezone).withMessage('Invalid timezone')
+], contactController.getContactTimeseries);
+
 // Get contact statistics (GET /api/contact/stats) - MUST be before /:id route
-router.get('/stats', contactController.getContactStats);
+router.get('/stats', requirePermission('contacts:read'), contactController.getContactStats);
 
-// Get all contacts (GET /api/contact)
-router.get('/', contactController.getAllContacts);
+// Get contacts with filters, search and pagination (GET /api/contact)
+router.get('/', requirePermission('contacts:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+  query('status').optional().isString().withMessage('Status must be a string'),
+  query('priority').optional().isString().withMessage('Priority must be a string'),
+  query('emailSent').optional().isBoolean().withMessage('emailSent must be a boolean'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  query('search').optional().isString().withMessage('Search must be a string'),
+  query('assignedTo').optional().custom(value => value === 'me' || value === 'none' || /^[a-f0-9]{24}$/i.test(value))
+    .withMessage('assignedTo must be an admin ID, me or none'),
+  query('tag').optional().isString().withMessage('Tag must be a string'),
+  query('overdue').optional().isBoolean().withMessage('overdue must be a boolean'),
+  query('breached').optional().isBoolean().withMessage('breached must be a boolean'),
+  query('sortBy').optional().isIn(contactController.SORT_FIELDS)
+    .withMessage(`sortBy must be one of: ${contactController.SORT_FIELDS.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc')
+], contactController.getAllContacts);
 
 // Get a single contact by ID (GET /api/contact/:id)
-router.get('/:id', contactController.getContactById);
+router.get('/:id', requirePermission('contacts:read'), contactController.getContactById);
+
+// Download a contact attachment (GET /api/contact/:id/attachments/:attachmentId)
+router.get('/:id/attachments/:attachmentId', requirePermission('contacts:read'), [
+  param('id').isMongoId().withMessage('Invalid contact ID'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+], contactController.downloadAttachment);
+
+// Get the email conversation for a contact (GET /api/contact/:id/messages)
+router.get('/:id/messages', requirePermission('contacts:read'), contactController.getContactMessages);
+
+// Reply to a contact by email (POST /api/contact/:id/reply)
+router.post('/:id/reply', requirePermission('contacts:write'), [
+  body('message').trim().notEmpty().withMessage('Message is required')
+    .isLength({ max: 20000 }).withMessage('Message cannot exceed 20000 characters'),
+  body('subject').optional().trim().isLength({ max: 300 }).withMessage('Subject cannot exceed 300 characters'),
+  body('signature').optional().trim().isLength({ max: 100 }).withMessage('Signature cannot exceed 100 characters'),
+  body('status').optional().isIn(['review', 'worked']).withMessage('Status must be review or worked')
+], contactController.replyToContact);
 
 // Update contact status or details (PATCH /api/contact/:id)
-router.patch('/:id', contactController.updateContact);
+router.patch('/:id', requirePermission('contacts:write'), [
+  body('assignedTo').optional({ values: 'null' }).custom(value => value === '' || /^[a-f0-9]{24}$/i.test(value))
+    .withMessage('assignedTo must be an admin ID, or null to unassign'),
+  body('tags').optional().isArray({ max: 20 }).withMessage('Tags must be an array of at most 20 items'),
+  body('tags.*').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Each tag must be 1-50 characters')
+], contactController.updateContact);
 
 // Delete a contact (DELETE /api/contact/:id)
-router.delete('/:id', contactController.deleteContact);
+router.delete('/:id', requirePermission('contacts:delete'), contactController.deleteContact);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router; 
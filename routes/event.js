@@ -3,26 +3,12 @@ const { body, validationResult, query } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const Event = require('../models/Event');
 const EventRegistration = require('../models/EventRegistration');
-const AuditLog = require('../models/AuditLog');
-const { authenticateToken } = require('../utils/authMiddleware');
+const Person = require('../models/Person');
+const { authenticateToken, requirePermission, denyPermission, isPublishChange } = require('../utils/authMiddleware');
+const { userHasPermission } = require('../utils/permissions');
+const { logAudit, auditChange, actionForChanges, diffDocuments, snapshot } = require('../utils/auditService');
 const emailService = require('../utils/emailService');
 
-async function logAudit(action, resource, resourceId, req, details = {}) {
-  try {
-    await AuditLog.create({
-      action,
-      resource,
-      resourceId,
-      adminId: req.user?.id,
-      adminEmail: req.user?.email,
-      details,
-      ip: req.ip || req.connection?.remoteAddress
-    });
-  } catch (err) {
-    console.error('Audit log error:', err.message);
-  }
-}
-
 // Rate limiters
 const registerLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -286,7 +272,7 @@ router.get('/filters', async (req, res) => {
 // ================== ADMIN ROUTES ==================
 
 // Get all events (including unpublished) - Admin only
-router.get('/admin/all', authenticateToken, [
+router.get('/admin/all', authenticateToken, requirePermission('events:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('published').optional().isBoolean().withMessage('Published must be a boolean'),
@@ -340,7 +326,7 @@ router.get('/admin/all', authenticateToken, [
 });
 
 // Get single event by ID - Admin only
-router.get('/admin/:id', authenticateToken, async (req, res) => {
+router.get('/admin/:id', authenticateToken, requirePermission('events:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -368,7 +354,7 @@ router.get('/admin/:id', authenticateToken, async (req, res) => {
 });
 
 // Create new event - Admin only
-router.post('/admin', authenticateToken, validateEvent, async (req, res) => {
+router.post('/admin', authenticateToken, requirePermission('events:write'), validateEvent, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -376,6 +362,10 @@ router.post('/admin', authenticateToken, validateEvent, async (req, res) => {
     }
 
     const eventData = req.body;
+
+    if (isPublishChange(eventData) && !userHasPermission(req.user, 'events:publish')) {
+      return denyPermission(res, 'events:publish');
+    }
     
     // Generate slug from title if not provided
     if (!eventData.slug && eventData.title) {
@@ -393,7 +383,7 @@ router.post('/admin', authenticateToken, validateEvent, async (req, res) => {
     const event = new Event(eventData);
     await event.save();
 
-    await logAudit('create', 'event', event._id, req, { title: event.title });
+    await auditChange('create', 'event', req, { after: event, details: { title: event.title } });
 
     res.status(201).json({
       success: true,
@@ -420,7 +410,7 @@ router.post('/admin', authenticateToken, validateEvent, async (req, res) => {
 });
 
 // Update event - Admin only
-router.put('/admin/:id', authenticateToken, validateEvent, async (req, res) => {
+router.put('/admin/:id', authenticateToken, requirePermission('events:write'), validateEvent, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -443,20 +433,27 @@ router.put('/admin/:id', authenticateToken, validateEvent, async (req, res) => {
       updateData.isFree = updateData.price === 0;
     }
 
-    const event = await Event.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const before = await Event.findById(id);
 
-    if (!event) {
+    if (!before) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
       });
     }
 
-    await logAudit('update', 'event', event._id, req, { title: event.title });
+    if (isPublishChange(updateData, before) && !userHasPermission(req.user, 'events:publish')) {
+      return denyPermission(res, 'events:publish');
+    }
+
+    const event = await Event.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    const action = actionForChanges(diffDocuments(before, event));
+    await auditChange(action, 'event', req, { before, after: event, details: { title: event.title } });
 
     res.status(200).json({
       success: true,
@@ -482,7 +479,7 @@ router.put('/admin/:id', authenticateToken, validateEvent, async (req, res) => {
 });
 
 // Delete event - Admin only
-router.delete('/admin/:id', authenticateToken, async (req, res) => {
+router.delete('/admin/:id', authenticateToken, requirePermission('events:delete'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -495,7 +492,7 @@ router.delete('/admin/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    await logAudit('delete', 'event', id, req, { title: event.title });
+    await auditChange('delete', 'event', req, { before: event, details: { title: event.title } });
 
     res.status(200).json({
       success: true,
@@ -512,7 +509,7 @@ router.delete('/admin/:id', authenticateToken, async (req, res) => {
 });
 
 // Toggle publish status - Admin only
-router.patch('/admin/:id/toggle-publish', authenticateToken, async (req, res) => {
+router.patch('/admin/:id/toggle-publish', authenticateToken, requirePermission('events:publish'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -525,13 +522,15 @@ router.patch('/admin/:id/toggle-publish', authenticateToken, async (req, res) =>
       });
     }
 
+    const before = snapshot(event);
+
     event.published = !event.published;
     if (event.published && !event.publishedAt) {
       event.publishedAt = new Date();
     }
     await event.save();
 
-    await logAudit(event.published ? 'publish' : 'unpublish', 'event', id, req, { title: event.title });
+    await auditChange(event.published ? 'publish' : 'unpublish', 'event', req, { before, after: event, details: { title: event.title } });
 
     res.status(200).json({
       success: true,
@@ -549,7 +548,7 @@ router.patch('/admin/:id/toggle-publish', authenticateToken, async (req, res) =>
 });
 
 // Toggle featured status - Admin only
-router.patch('/admin/:id/toggle-featured', authenticateToken, async (req, res) => {
+router.patch('/admin/:id/toggle-featured', authenticateToken, requirePermission('events:publish'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -562,10 +561,12 @@ router.patch('/admin/:id/toggle-featured', authenticateToken, async (req, res) =
       });
     }
 
+    const before = snapshot(event);
+
     event.featured = !event.featured;
     await event.save();
 
-    await logAudit(event.featured ? 'feature' : 'unfeature', 'event', id, req, { title: event.title });
+    await auditChange(event.featured ? 'feature' : 'unfeature', 'event', req, { before, after: event, details: { title: event.title } });
 
     res.status(200).json({
       success: true,
@@ -650,6 +651,10 @@ router.post('/register/:eventId', registerLimiter, [
     });
 
     await registration.save();
+    Person.track(registration.email);
+
+    // Public action, so there is no admin actor on this entry
+    await logAudit('register', 'event-registration', registration._id, req, { eventId, email });
 
     // Update event attendee count
     event.currentAttendees += 1;
@@ -721,7 +726,7 @@ router.get('/register/check/:eventId', [
 });
 
 // Get registrations for an event - Admin only
-router.get('/admin/:eventId/registrations', authenticateToken, async (req, res) => {
+router.get('/admin/:eventId/registrations', authenticateToken, requirePermission('events:registrations:read'), async (req, res) => {
   try {
     const { eventId } = req.params;
     const page = parseInt(req.query.page) || 1;
@@ -756,7 +761,7 @@ router.get('/admin/:eventId/registrations', authenticateToken, async (req, res)
 });
 
 // Update registration status - Admin only
-router.patch('/admin/registrations/:id', authenticateToken, [
+router.patch('/admin/registrations/:id', authenticateToken, requirePermission('events:registrations:write'), [
   body('status').isIn(['pending', 'confirmed', 'cancelled', 'attended']).withMessage('Invalid status')
 ], async (req, res) => {
   try {
@@ -768,19 +773,27 @@ router.patch('/admin/registrations/:id', authenticateToken, [
     const { id } = req.params;
     const { status } = req.body;
 
-    const registration = await EventRegistration.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true }
-    );
+    const before = await EventRegistration.findById(id);
 
-    if (!registration) {
+    if (!before) {
       return res.status(404).json({
         success: false,
         message: 'Registration not found'
       });
     }
 
+    const registration = await EventRegistration.findByIdAndUpdate(
+      id,
+      { status },
+      { new: true }
+    );
+
+    await auditChange('status-change', 'event-registration', req, {
+      before,
+      after: registration,
+      details: { eventId: registration.eventId, email: registration.email }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Registration updated successfully',
@@ -797,7 +810,7 @@ router.patch('/admin/registrations/:id', authenticateToken, [
 });
 
 // Delete registration - Admin only
-router.delete('/admin/registrations/:id', authenticateToken, async (req, res) => {
+router.delete('/admin/registrations/:id', authenticateToken, requirePermission('events:registrations:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -816,6 +829,12 @@ router.delete('/admin/registrations/:id', authenticateToken, async (req, res) =>
     });
 
     await EventRegistration.findByIdAndDelete(id);
+    Person.track(registration.email);
+
+    await auditChange('delete', 'event-registration', req, {
+      before: registration,
+      details: { eventId: registration.eventId, email: registration.email }
+    });
 
     res.status(200).json({
       success: true,
@@ -832,7 +851,7 @@ router.delete('/admin/registrations/:id', authenticateToken, async (req, res) =>
 });
 
 // Export registrations as CSV - Admin only
-router.get('/admin/registrations/export/:eventId', authenticateToken, async (req, res) => {
+router.get('/admin/registrations/export/:eventId', authenticateToken, requirePermission('events:registrations:export'), async (req, res) => {
   try {
     const { eventId } = req.params;
     const registrations = await EventRegistration.find({ eventId }).sort({ registeredAt: -1 });
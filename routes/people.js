@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Person = require('../models/Person');
+const Contact = require('../models/Contact');
+const ContactMessage = require('../models/ContactMessage');
+const Subscription = require('../models/Subscription');
+const EventRegistration = require('../models/EventRegistration');
+const Event = require('../models/Event');
+const { authenticateToken, requirePermission } = require('../utils/authMiddleware');
+const { logAudit } = require('../utils/auditService');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// A person view shows contacts, subscriptions and registrations together
+const readPeople = requirePermission('contacts:read', 'subscriptions:read', 'events:registrations:read');
+const writePeople = requirePermission('contacts:write', 'subscriptions:write', 'events:registrations:write');
+
+const validateEmailParam = param('email').isEmail().withMessage('Valid email is required');
+
+// Newest record of a group; the one we keep when merging duplicate registrations
+const newest = (records) => [...records].sort((a, b) => b.updatedAt - a.updatedAt)[0];
+
+// Most restrictive first, so merging never loses an opt-out
+const SUBSCRIPTION_STATUS_RANK = { unsubscribed: 0, inactive: 1, pending: 2, active: 3 };
+const FREQUENCY_RANK = { monthly: 0, weekly: 1, immediate: 2 };
+
+// The subscription to keep when merging: most restrictive status, newest as the tie-break
+const subscriptionToKeep = (subscriptions) => [...subscriptions].sort((a, b) =>
+  (SUBSCRIPTION_STATUS_RANK[a.status] ?? 99) - (SUBSCRIPTION_STATUS_RANK[b.status] ?? 99) || b.updatedAt - a.updatedAt
+)[0];
+
+// Combine duplicates' settings onto the kept subscription: a topic stays on only if every copy
+// wants it, and the least frequent delivery and latest pause win
+const mergedSubscriptionSettings = (kept, subscriptions) => {
+  const settings = {};
+  for (const flag of Subscription.PREFERENCE_FLAGS) {
+    settings[`preferences.${flag}`] = subscriptions.every(s => s.preferences?.[flag] !== false);
+  }
+  settings.frequency = subscriptions
+    .map(s => s.frequency || 'immediate')
+    .sort((a, b) => FREQUENCY_RANK[a] - FREQUENCY_RANK[b])[0];
+
+  const pauses = subscriptions.map(s => s.pausedUntil).filter(Boolean);
+  if (pauses.length) settings.pausedUntil = new Date(Math.max(...pauses.map(Number)));
+  if (kept.status === 'unsubscribed' && !kept.unsubscribedAt) settings.unsubscribedAt = new Date();
+  return settings;
+};
+
+// Combined activity for a person, newest first
+function buildTimeline({ contacts, subscriptions, eventRegistrations }, messages) {
+  const entries = [];
+
+  for (const contact of contacts) {
+    entries.push({
+      type: 'contact',
+      at: contact.createdAt,
+      email: contact.email,
+      summary: `Contact form: ${contact.subject}`,
+      contactId: contact._id,
+      status: contact.status
+    });
+    if (contact.completedAt) {
+      entries.push({ type: 'contact-completed', at: contact.completedAt, contactId: contact._id, summary: `Completed: ${contact.subject}` });
+    }
+  }
+
+  for (const message of messages) {
+    entries.push({
+      type: message.direction === 'inbound' ? 'email-received' : 'email-sent',
+      at: message.sentAt,
+      contactId: message.contactId,
+      messageId: message._id,
+      summary: message.subject || '(no subject)',
+      by: message.sentByName
+    });
+  }
+
+  for (const subscription of subscriptions) {
+    entries.push({
+      type: 'subscribed',
+      at: subscription.createdAt,
+      email: subscription.email,
+      subscriptionId: subscription._id,
+      summary: `Subscribed via ${subscription.source}`
+    });
+    if (subscription.unsubscribedAt) {
+      entries.push({
+        type: 'unsubscribed',
+        at: subscription.unsubscribedAt,
+        subscriptionId: subscription._id,
+        summary: subscription.unsubscribedReason ? `Unsubscribed: ${subscription.unsubscribedReason}` : 'Unsubscribed'
+      });
+    }
+  }
+
+  for (const registration of eventRegistrations) {
+    entries.push({
+      type: 'event-registration',
+      at: registration.registeredAt || registration.createdAt,
+      email: registration.email,
+      registrationId: registration._id,
+      eventId: registration.eventId?._id || registration.eventId,
+      summary: `Registered for ${registration.eventId?.title || 'an event'}`,
+      status: registration.status
+    });
+  }
+
+  return entries.sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+// List people, most recently active first (GET /api/people)
+router.get('/', readPeople, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().isString().withMessage('Search must be a string')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = req.query.search ? { $text: { $search: req.query.search } } : {};
+
+    const [people, total] = await Promise.all([
+      Person.find(filter).sort({ lastSeenAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Person.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    await logAudit('read', 'person', undefined, req, { count: people.length });
+
+    res.json({
+      success: true,
+      people,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalPeople: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch people', error: error.message });
+  }
+});
+
+// Rebuild the people index from contacts, subscriptions and registrations (POST /api/people/rebuild)
+router.post('/rebuild', writePeople, async (req, res) => {
+  try {
+    const count = await Person.rebuildAll();
+    await logAudit('update', 'person', undefined, req, { rebuilt: count });
+    res.json({ success: true, message: `Rebuilt ${count} people`, count });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to rebuild people', error: error.message });
+  }
+});
+
+// One person with all their records and a combined timeline (GET /api/people/:email)
+router.get('/:email', readPeople, [validateEmailParam], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const records = await Person.findRecords(req.params.email);
+    const person = await Person.refresh(req.params.email);
+    if (!person) {
+      return res.status(404).json({ success: false, message: 'No records found for this email' });
+    }
+
+    const messages = await ContactMessage.find({ contactId: { $in: records.contacts.map(c => c._id) } })
+      .sort({ sentAt: -1 })
+      .select('contactId direction subject sentAt sentByName');
+
+    await logAudit('read', 'person', person._id, req, { email: person.primaryEmail });
+
+    res.json({
+      success: true,
+      person,
+      ...records,
+      timeline: buildTimeline(records, messages)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch person', error: error.message });
+  }
+});
+
+// Rewrite every spelling of an address (case, Gmail dots) to one email and collapse duplicate
+// subscriptions and event registrations. The subscription kept is the most restrictive one, with
+// the duplicates' opt-outs folded in; registrations keep the most recently updated record
+// (POST /api/people/:email/merge). Pass dryRun to see the plan without changing anything.
+router.post('/:email/merge', writePeople, [
+  validateEmailParam,
+  body('primaryEmail').optional().isEmail().withMessage('primaryEmail must be a valid email'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const records = await Person.findRecords(req.params.email);
+    const { contacts, subscriptions, eventRegistrations } = records;
+    const variants = [...new Set([...contacts, ...subscriptions, ...eventRegistrations].map(r => r.email))];
+
+    if (!variants.length) {
+      return res.status(404).json({ success: false, message: 'No records found for this email' });
+    }
+
+    const primaryEmail = (req.body.primaryEmail || req.params.email).trim().toLowerCase();
+    if (Person.normalizeEmail(primaryEmail) !== Person.normalizeEmail(req.params.email)) {
+      return res.status(400).json({ success: false, message: 'primaryEmail must be a spelling of the same address' });
+    }
+
+    const keptSubscription = subscriptions.length ? subscriptionToKeep(subscriptions) : null;
+    const duplicateSubscriptions = subscriptions.filter(s => s !== keptSubscription);
+    const subscriptionSettings = duplicateSubscriptions.length ? mergedSubscriptionSettings(keptSubscription, subscriptions) : null;
+
+    const registrationsByEvent = new Map();
+    for (const registration of eventRegistrations) {
+      const eventId = String(registration.eventId?._id || registration.eventId);
+      registrationsByEvent.set(eventId, [...(registrationsByEvent.get(eventId) || []), registration]);
+    }
+    const duplicateRegistrations = [...registrationsByEvent.values()]
+      .flatMap(group => group.filter(r => r !== newest(group)));
+
+    const plan = {
+      primaryEmail,
+      variants,
+      contactsToUpdate: contacts.filter(c => c.email !== primaryEmail).map(c => c._id),
+      subscriptionKept: keptSubscription?._id || null,
+      subscriptionSettings,
+      subscriptionsToRemove: duplicateSubscriptions.map(s => s._id),
+      registrationsToRemove: duplicateRegistrations.map(r => r._id)
+    };
+
+    if (req.body.dryRun === true || req.body.dryRun === 'true') {
+      return res.json({ success: true, dryRun: true, plan });
+    }
+
+    const address = { email: primaryEmail, normalizedEmail: Person.normalizeEmail(primaryEmail) };
+    await Contact.updateMany({ _id: { $in: contacts.map(c => c._id) } }, { $set: address });
+
+    // Duplicates go first so the unique email indexes never see two copies
+    if (duplicateSubscriptions.length) {
+      await Subscription.deleteMany({ _id: { $in: plan.subscriptionsToRemove } });
+    }
+    if (keptSubscription && (keptSubscription.email !== primaryEmail || subscriptionSettings)) {
+      await Subscription.updateOne({ _id: keptSubscription._id }, { $set: { ...address, ...subscriptionSettings } });
+    }
+
+    for (const registration of duplicateRegistrations) {
+      await EventRegistration.deleteOne({ _id: registration._id });
+      await Event.findByIdAndUpdate(registration.eventId?._id || registration.eventId, { $inc: { currentAttendees: -1 } });
+    }
+    await EventRegistration.updateMany(
+      { _id: { $in: eventRegistrations.filter(r => !duplicateRegistrations.includes(r)).map(r => r._id) } },
+      { $set: address }
+    );
+
+    const person = await Person.refresh(primaryEmail);
+
+    await logAudit('merge', 'person', person?._id, req, {
+      ...plan,
+      removedSubscriptions: duplicateSubscriptions.map(s => ({ email: s.email, status: s.status, createdAt: s.createdAt })),
+      removedRegistrations: duplicateRegistrations.map(r => ({ email: r.email, eventId: r.eventId?._id || r.eventId, status: r.status }))
+    });
+
+    res.json({ success: true, message: `Merged ${variants.length} address variants into ${primaryEmail}`, plan, person });
+  } catch (error) {
+    console.error('❌ Person merge error:', error);
+    res.status(500).json({ success: false, message: 'Failed to merge records', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const segmentController = require('../controllers/segmentController');
+const Subscription = require('../models/Subscription');
+const { authenticateToken, requirePermission } = require('../utils/authMiddleware');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const STATUSES = ['pending', 'active', 'inactive', 'unsubscribed'];
+const SOURCES = ['footer', 'contact', 'manual', 'other'];
+const REGISTRATION_STATUSES = ['pending', 'confirmed', 'cancelled', 'attended'];
+
+// Previews list subscribers, so they need subscriber access as well
+const previewPermission = requirePermission('campaigns:read', 'subscriptions:read');
+
+const validateId = param('id').isMongoId().withMessage('Invalid segment ID');
+
+const validateRules = [
+  body('rules').optional().isObject().withMessage('Rules must be an object'),
+  body('rules.statuses').optional().isArray().withMessage('statuses must be an array'),
+  body('rules.statuses.*').isIn(STATUSES).withMessage(`Statuses must be one of: ${STATUSES.join(', ')}`),
+  body('rules.sources').optional().isArray().withMessage('sources must be an array'),
+  body('rules.sources.*').isIn(SOURCES).withMessage(`Sources must be one of: ${SOURCES.join(', ')}`),
+  body('rules.preferences').optional().isObject().withMessage('preferences must be an object'),
+  ...Subscription.PREFERENCE_FLAGS.map(flag =>
+    body(`rules.preferences.${flag}`).optional({ nullable: true }).isBoolean().withMessage(`${flag} must be a boolean`).toBoolean()),
+  body('rules.signedUpAfter').optional({ nullable: true }).isISO8601().withMessage('signedUpAfter must be an ISO 8601 date'),
+  body('rules.signedUpBefore').optional({ nullable: true }).isISO8601().withMessage('signedUpBefore must be an ISO 8601 date'),
+  body('rules.hasName').optional({ nullable: true }).isBoolean().withMessage('hasName must be a boolean').toBoolean(),
+  body('rules.eventRegistration').optional().isObject().withMessage('eventRegistration must be an object'),
+  body('rules.eventRegistration.registered').optional({ nullable: true }).isBoolean().withMessage('registered must be a boolean').toBoolean(),
+  body('rules.eventRegistration.eventIds').optional().isArray().withMessage('eventIds must be an array'),
+  body('rules.eventRegistration.eventIds.*').isMongoId().withMessage('eventIds must be valid IDs'),
+  body('rules.eventRegistration.statuses').optional().isArray().withMessage('Registration statuses must be an array'),
+  body('rules.eventRegistration.statuses.*').isIn(REGISTRATION_STATUSES)
+    .withMessage(`Registration statuses must be one of: ${REGISTRATION_STATUSES.join(', ')}`),
+  body('rules.eventRegistration.since').optional({ nullable: true }).isISO8601().withMessage('since must be an ISO 8601 date'),
+  body('rules.engagement').optional().isObject().withMessage('engagement must be an object'),
+  body('rules.engagement.lastCampaigns').optional({ nullable: true }).isInt({ min: 1, max: 50 })
+    .withMessage('lastCampaigns must be between 1 and 50').toInt(),
+  body('rules.engagement.activity').optional().isIn(['opened', 'clicked']).withMessage('activity must be opened or clicked'),
+  body('rules.engagement.engaged').optional().isBoolean().withMessage('engaged must be a boolean').toBoolean()
+];
+
+const validateSegment = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    ...validateRules
+  ];
+};
+
+// List segments (GET /api/segments)
+router.get('/', requirePermission('campaigns:read'), segmentController.getAllSegments);
+
+// Preview unsaved rules (POST /api/segments/preview)
+router.post('/preview', previewPermission, [
+  ...validateRules,
+  body('sample').optional().isInt({ min: 1, max: 50 }).withMessage('Sample must be between 1 and 50')
+], segmentController.previewRules);
+
+// Get a segment (GET /api/segments/:id)
+router.get('/:id', requirePermission('campaigns:read'), [validateId], segmentController.getSegmentById);
+
+// Count and sample members of a segment (GET /api/segments/:id/preview)
+router.get('/:id/preview', previewPermission, [
+  validateId,
+  query('sample').optional().isInt({ min: 1, max: 50 }).withMessage('Sample must be between 1 and 50')
+], segmentController.previewSegment);
+
+// Create a segment (POST /api/segments)
+router.post('/', requirePermission('campaigns:write'), validateSegment(false), segmentController.createSegment);
+
+// Update a segment (PUT /api/segments/:id)
+router.put('/:id', requirePermission('campaigns:write'), [validateId, ...validateSegment(true)], segmentController.updateSegment);
+
+// Delete a segment (DELETE /api/segments/:id)
+router.delete('/:id', requirePermission('campaigns:write'), [validateId], segmentController.deleteSegment);
+
+module.exports = router;
@@ -1,29 +1,85 @@
 const express = require('express');
 const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 const subscriptionController = require('../controllers/subscriptionController');
+const Subscription = require('../models/Subscription');
+const { authenticateToken, requirePermission } = require('../utils/authMiddleware');
+const { honeypot } = require('../utils/antiSpam');
 
 const router = express.Router();
 
-// Subscribe (POST /api/subscription)
+// Rate limiters
+const subscribeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { success: false, message: 'Too many subscription attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Subscribe (POST /api/subscription) - public
 router.post(
   '/',
-  [body('email').isEmail().withMessage('Valid email is required')],
+  subscribeLimiter,
+  honeypot('website', 'Subscribed successfully'),
+  [
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('firstName').optional().trim().isLength({ max: 50 }).withMessage('First name cannot exceed 50 characters'),
+    body('lastName').optional().trim().isLength({ max: 50 }).withMessage('Last name cannot exceed 50 characters')
+  ],
   subscriptionController.createSubscription
 );
 
+// Confirm a subscription from the emailed link (GET /api/subscription/confirm/:token) - public
+router.get('/confirm/:token', subscriptionController.confirmSubscription);
+
+// Unsubscribe page data (GET /api/subscription/unsubscribe/:token) - public
+router.get('/unsubscribe/:token', subscriptionController.getUnsubscribeStatus);
+
+// Unsubscribe, including RFC 8058 one-click posts (POST /api/subscription/unsubscribe/:token) - public
+router.post(
+  '/unsubscribe/:token',
+  [
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  subscriptionController.unsubscribeByToken
+);
+
+// Preference center data (GET /api/subscription/preferences/:token) - public
+router.get('/preferences/:token', subscriptionController.getPreferences);
+
+// Update preferences, frequency or pause newsletters for 30 days (PUT /api/subscription/preferences/:token) - public
+router.put(
+  '/preferences/:token',
+  [
+    body('firstName').optional().trim().isLength({ max: 50 }).withMessage('First name cannot exceed 50 characters'),
+    body('lastName').optional().trim().isLength({ max: 50 }).withMessage('Last name cannot exceed 50 characters'),
+    body('preferences').optional().isObject().withMessage('Preferences must be an object'),
+    body('preferences.newsletters').optional().isBoolean().withMessage('newsletters must be a boolean').toBoolean(),
+    body('preferences.projectUpdates').optional().isBoolean().withMessage('projectUpdates must be a boolean').toBoolean(),
+    body('preferences.techInsights').optional().isBoolean().withMessage('techInsights must be a boolean').toBoolean(),
+    body('frequency').optional().isIn(Subscription.FREQUENCIES).withMessage(`Frequency must be one of: ${Subscription.FREQUENCIES.join(', ')}`),
+    body('pause').optional().isBoolean().withMessage('pause must be a boolean').toBoolean()
+  ],
+  subscriptionController.updatePreferences
+);
+
+// Everything below is admin only
+router.use(authenticateToken);
+
+// Get subscription statistics (GET /api/subscription/stats)
+router.get('/stats', requirePermission('subscriptions:read'), subscriptionController.getSubscriptionStats);
+
 // Get all subscriptions (GET /api/subscription)
-router.get('/', subscriptionController.getAllSubscriptions);
+router.get('/', requirePermission('subscriptions:read'), subscriptionController.getAllSubscriptions);
 
 // Unsubscribe (PATCH /api/subscription/:id/unsubscribe)
-router.patch('/:id/unsubscribe', subscriptionController.unsubscribe);
+router.patch('/:id/unsubscribe', requirePermission('subscriptions:write'), subscriptionController.unsubscribe);
 
 // Reactivate subscription (PATCH /api/subscription/:id/reactivate)
-router.patch('/:id/reactivate', subscriptionController.reactivate);
+router.patch('/:id/reactivate', requirePermission('subscriptions:write'), subscriptionController.reactivate);
 
 // Delete a subscription (DELETE /api/subscription/:id)
-router.delete('/:id', subscriptionController.deleteSubscription);
-
-// Get subscription statistics (GET /api/subscription/stats)
-router.get('/stats', subscriptionController.getSubscriptionStats);
+router.delete('/:id', requirePermission('subscriptions:delete'), subscriptionController.deleteSubscription);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Pipe a raw RFC 822 message on stdin to file it on its contact thread, e.g. from /etc/aliases:
+//   contact: "|/usr/bin/node /srv/portfolio-backend/scripts/ingestEmail.js"
+// Exit codes follow sysexits so the MTA bounces bad mail (65) and retries on outages (75).
+
+const path = require('path');
+const fs = require('fs');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+const EX_DATAERR = 65;
+const EX_TEMPFAIL = 75;
+
+for (const file of ['.env', '.env.production']) {
+  const envPath = path.join(__dirname, '..', file);
+  if (fs.existsSync(envPath)) dotenv.config({ path: envPath });
+}
+
+const { ingestRawEmail } = require('../utils/inboundEmail');
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const main = async () => {
+  const raw = await readStdin();
+  if (raw.length === 0) {
+    console.error('❌ No message on stdin');
+    return EX_DATAERR;
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not defined in environment variables');
+    return EX_TEMPFAIL;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const result = await ingestRawEmail(raw);
+    console.log(`✅ Email ${result.outcome}: contact ${result.contact?._id}`);
+    return 0;
+  } catch (error) {
+    console.error('❌ Inbound email error:', error.message);
+    const badMessage = error.name === 'ValidationError' || error.message === 'Message has no From address';
+    return badMessage ? EX_DATAERR : EX_TEMPFAIL;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().then(code => process.exit(code));
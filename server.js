@@ -4,6 +4,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const dotenv = require('dotenv');
@@ -35,12 +36,22 @@ console.log('MONGODB_URI:', process.env.MONGODB_URI ? 'SET' : 'NOT SET');
 console.log('=============================');
 
 const contactRoutes = require('./routes/contact');
+const cannedResponseRoutes = require('./routes/cannedResponses');
+const peopleRoutes = require('./routes/people');
+const campaignRoutes = require('./routes/campaigns');
+const segmentRoutes = require('./routes/segments');
 const subscriptionRoutes = require('./routes/subscription');
 const adminRoutes = require('./routes/admin');
+const auditLogRoutes = require('./routes/auditLogs');
 const blogRoutes = require('./routes/blog');
 const aiRoutes = require('./routes/aiRoutes');
 const eventRoutes = require('./routes/event');
 const caseStudyRoutes = require('./routes/caseStudies');
+const { scheduleAuditRetention } = require('./utils/auditRetention');
+const { scheduleSubscriptionPurge } = require('./utils/subscriptionPurge');
+const { scheduleCampaignSender } = require('./utils/campaignSender');
+const Contact = require('./models/Contact');
+const Person = require('./models/Person');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -63,17 +74,8 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Stricter rate limiting for admin routes
-const adminLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // limit each IP to 10 requests per windowMs for admin
-  message: {
-    success: false,
-    message: 'Too many admin requests from this IP, please try again later.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+// Admin routes share the general limit above. Sign-in and credential routes have their own
+// stricter limiters in routes/admin.js.
 app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
@@ -92,6 +94,7 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Serve uploaded media so the Vite frontend can request it from a different origin in development.
 app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
@@ -133,6 +136,15 @@ mongoose.connect(mongoUri)
     console.log('✅ Connected to MongoDB');
     // Test email configuration after DB is connected
     testEmailConfig();
+    scheduleAuditRetention();
+    scheduleSubscriptionPurge();
+    scheduleCampaignSender();
+    Contact.backfillResponseDeadlines()
+      .then(count => count && console.log(`⏱️  Set SLA deadlines on ${count} existing contacts`))
+      .catch(err => console.error('❌ SLA deadline backfill failed:', err.message));
+    Person.backfillNormalizedEmails()
+      .then(count => count && console.log(`👥 Normalised emails on ${count} existing records and rebuilt people`))
+      .catch(err => console.error('❌ Person email backfill failed:', err.message));
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -141,8 +153,13 @@ mongoose.connect(mongoUri)
 
 // Routes
 app.use('/api/contact', contactRoutes);
+app.use('/api/canned-responses', cannedResponseRoutes);
+app.use('/api/people', peopleRoutes);
 app.use('/api/subscription', subscriptionRoutes);
-app.use('/api/admin', adminLimiter, adminRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/segments', segmentRoutes);
+app.use('/api/admin/audit-logs', auditLogRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api/blog', blogRoutes);
 app.use('/api/case-studies', caseStudyRoutes);
 app.use('/api/ai', aiRoutes);
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+
+// Hidden form field that real users never fill in. Bots that do fill it get a
+// fake success response, so they have no signal to adapt to.
+const honeypot = (field, message) => (req, res, next) => {
+  if (req.body && req.body[field]) {
+    console.warn(`🍯 Honeypot field "${field}" filled on ${req.originalUrl} from ${req.ip}`);
+    return res.status(201).json({ success: true, message });
+  }
+  next();
+};
+
+// ---------------------------------------------------------------------------
+// Spam scoring pipeline
+//
+// A check is `async (submission) => ({ score, reason } | null)`, where `submission` holds the
+// form fields plus `ip`, `userAgent` and the raw request `body`. Scores add up; anything at or
+// above the threshold is treated as spam. Checks that throw are skipped so a broken check
+// never blocks real messages.
+// ---------------------------------------------------------------------------
+
+const SPAM_THRESHOLD = () => parseInt(process.env.SPAM_SCORE_THRESHOLD) || 5;
+
+const createSpamPipeline = (checks = []) => {
+  const pipeline = [...checks];
+
+  return {
+    use(check) {
+      pipeline.push(check);
+      return this;
+    },
+
+    async evaluate(submission) {
+      let score = 0;
+      const reasons = [];
+
+      for (const check of pipeline) {
+        try {
+          const result = await check(submission);
+          if (result && result.score) {
+            score += result.score;
+            reasons.push(result.reason);
+          }
+        } catch (err) {
+          console.error('Spam check failed:', err.message);
+        }
+      }
+
+      return { score, reasons, isSpam: score >= SPAM_THRESHOLD() };
+    }
+  };
+};
+
+// Honeypot as a scored check, so the submission is kept for review instead of dropped
+const honeypotCheck = (field) => async ({ body }) =>
+  body && body[field] ? { score: 10, reason: `honeypot:${field}` } : null;
+
+// Time-to-submit tokens: the form fetches a signed timestamp when it renders and sends it back.
+// Bots that post straight away, or replay a stale token, are penalised. A missing token only
+// counts once FORM_TOKEN_REQUIRED=true, so forms that don't send one yet aren't marked as spam.
+const formTokenSecret = () => {
+  const secret = process.env.FORM_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('FORM_TOKEN_SECRET or JWT_SECRET must be set to sign form tokens');
+  return secret;
+};
+
+const signFormTimestamp = (timestamp) =>
+  crypto.createHmac('sha256', formTokenSecret()).update(`form:${timestamp}`).digest('base64url');
+
+const issueFormToken = (now = Date.now()) => `${now}.${signFormTimestamp(now)}`;
+
+const readFormToken = (token) => {
+  const [timestamp, signature] = String(token || '').split('.');
+  if (!timestamp || !signature || !/^\d+$/.test(timestamp)) return null;
+
+  const expected = Buffer.from(signFormTimestamp(timestamp));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return Number(timestamp);
+};
+
+const timeToSubmitCheck = (field = 'formToken') => async ({ body }) => {
+  const minSeconds = parseInt(process.env.FORM_MIN_SUBMIT_SECONDS) || 3;
+  const maxHours = parseInt(process.env.FORM_TOKEN_MAX_AGE_HOURS) || 24;
+
+  if (!body || !body[field]) {
+    return process.env.FORM_TOKEN_REQUIRED === 'true' ? { score: 2, reason: 'form-token:missing' } : null;
+  }
+
+  const issuedAt = readFormToken(body[field]);
+  if (!issuedAt) return { score: 4, reason: 'form-token:invalid' };
+
+  const elapsed = Date.now() - issuedAt;
+  if (elapsed < minSeconds * 1000) return { score: 4, reason: 'form-token:too-fast' };
+  if (elapsed > maxHours * 60 * 60 * 1000) return { score: 2, reason: 'form-token:expired' };
+  return null;
+};
+
+// Repeat submissions from one address or IP within the window
+const submissionThrottleCheck = (Model, { field, max, windowMinutes = 60, score = 5 }) => async (submission) => {
+  const value = submission[field];
+  if (!value) return null;
+
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+  const recent = await Model.countDocuments({ [field]: value, createdAt: { $gte: since } });
+  return recent >= max ? { score, reason: `throttle:${field}` } : null;
+};
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+const linkCountCheck = (fields = ['message']) => async (submission) => {
+  const text = fields.map(f => submission[f] || '').join(' ');
+  const links = (text.match(LINK_PATTERN) || []).length;
+
+  if (links > 5) return { score: 5, reason: `links:${links}` };
+  if (links > 2) return { score: 2, reason: `links:${links}` };
+  return null;
+};
+
+const DEFAULT_SPAM_KEYWORDS = [
+  'viagra', 'cialis', 'casino', 'betting', 'forex', 'crypto investment', 'bitcoin',
+  'seo services', 'backlinks', 'guest post', 'rank your website', 'first page of google',
+  'payday loan', 'escort', 'porn', 'work from home', 'make money fast'
+];
+
+const spamKeywords = () => [
+  ...DEFAULT_SPAM_KEYWORDS,
+  ...String(process.env.SPAM_KEYWORDS || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean)
+];
+
+const keywordCheck = (fields = ['subject', 'message']) => async (submission) => {
+  const text = fields.map(f => submission[f] || '').join(' ').toLowerCase();
+  const hits = spamKeywords().filter(keyword => text.includes(keyword));
+
+  return hits.length ? { score: Math.min(hits.length * 2, 6), reason: `keywords:${hits.join('|')}` } : null;
+};
+
+const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', 'mailinator.com',
+  'maildrop.cc', 'temp-mail.org', 'tempmail.com', 'tempmailo.com', 'throwawaymail.com',
+  'yopmail.com', 'getnada.com', 'dispostable.com', 'trashmail.com', 'fakeinbox.com',
+  'mintemail.com', 'mohmal.com', 'emailondeck.com', 'spamgourmet.com', 'mailnesia.com'
+]);
+
+const isDisposableEmail = (email) => {
+  const domain = String(email || '').split('@')[1]?.toLowerCase();
+  if (!domain) return false;
+  const extra = String(process.env.DISPOSABLE_EMAIL_DOMAINS || '').split(',').map(d => d.trim().toLowerCase());
+  return DISPOSABLE_DOMAINS.has(domain) || extra.includes(domain);
+};
+
+const disposableEmailCheck = () => async ({ email }) =>
+  isDisposableEmail(email) ? { score: 4, reason: 'disposable-email' } : null;
+
+// Captcha verifiers implement `verify(token, ip) => Promise<boolean>`. Pick one with CAPTCHA_PROVIDER;
+// unset means no captcha. The `stub` verifier accepts CAPTCHA_STUB_TOKEN (default "pass") for local
+// development; real providers are added with registerCaptchaVerifier.
+const captchaVerifiers = {
+  stub: {
+    async verify(token) {
+      return token === (process.env.CAPTCHA_STUB_TOKEN || 'pass');
+    }
+  }
+};
+
+const registerCaptchaVerifier = (name, verifier) => {
+  captchaVerifiers[name] = verifier;
+};
+
+const captchaCheck = (field = 'captchaToken') => async ({ body, ip }) => {
+  const provider = process.env.CAPTCHA_PROVIDER;
+  if (!provider) return null;
+
+  const verifier = captchaVerifiers[provider];
+  if (!verifier) throw new Error(`Unknown captcha provider: ${provider}`);
+
+  const token = body && body[field];
+  const passed = token ? await verifier.verify(token, ip) : false;
+  return passed ? null : { score: 5, reason: 'captcha:failed' };
+};
+
+module.exports = {
+  honeypot,
+  createSpamPipeline,
+  honeypotCheck,
+  issueFormToken,
+  timeToSubmitCheck,
+  submissionThrottleCheck,
+  linkCountCheck,
+  keywordCheck,
+  disposableEmailCheck,
+  isDisposableEmail,
+  captchaCheck,
+  registerCaptchaVerifier
+};
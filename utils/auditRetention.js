@@ -0,0 +1,74 @@
+const AuditLog = require('../models/AuditLog');
+const AuditLogArchive = require('../models/AuditLogArchive');
+
+const BATCH_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getRetentionConfig = () => ({
+  // 0 disables the job
+  days: process.env.AUDIT_LOG_RETENTION_DAYS !== undefined
+    ? parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 0
+    : 365,
+  mode: process.env.AUDIT_LOG_RETENTION_MODE === 'prune' ? 'prune' : 'archive'
+});
+
+// Move entries older than the cutoff into the archive collection in batches.
+// Copies keep their _id, so a run interrupted between insert and delete is safe to repeat.
+async function archiveBefore(cutoff) {
+  let archived = 0;
+
+  for (;;) {
+    const batch = await AuditLog.find({ timestamp: { $lt: cutoff } })
+      .sort({ timestamp: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    try {
+      await AuditLogArchive.insertMany(batch, { ordered: false });
+    } catch (error) {
+      // Duplicate keys mean a previous run already copied these entries
+      const writeErrors = error.writeErrors || [];
+      const onlyDuplicates = error.code === 11000 ||
+        (writeErrors.length > 0 && writeErrors.every(e => e.code === 11000));
+      if (!onlyDuplicates) throw error;
+    }
+
+    const ids = batch.map(entry => entry._id);
+    await AuditLog.deleteMany({ _id: { $in: ids } });
+    archived += batch.length;
+  }
+
+  return archived;
+}
+
+async function runAuditRetention({ days, mode } = getRetentionConfig()) {
+  if (!days) return { mode, days, processed: 0, skipped: true };
+
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  let processed;
+
+  if (mode === 'prune') {
+    const result = await AuditLog.deleteMany({ timestamp: { $lt: cutoff } });
+    processed = result.deletedCount;
+  } else {
+    processed = await archiveBefore(cutoff);
+  }
+
+  if (processed > 0) {
+    console.log(`🗄️  Audit retention: ${mode === 'prune' ? 'pruned' : 'archived'} ${processed} entries older than ${cutoff.toISOString()}`);
+  }
+  return { mode, days, cutoff, processed };
+}
+
+// Run once shortly after startup, then daily
+function scheduleAuditRetention() {
+  const run = () => runAuditRetention().catch(error => {
+    console.error('❌ Audit retention job failed:', error.message);
+  });
+
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, DAY_MS).unref();
+}
+
+module.exports = { getRetentionConfig, runAuditRetention, scheduleAuditRetention };
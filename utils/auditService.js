@@ -0,0 +1,81 @@
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that change on every save and would only add noise to a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+// Secrets whose changes are recorded without their values
+const REDACTED_FIELDS = ['passwordHash', 'twoFactor', 'tokenHash', 'keyHash'];
+const MAX_VALUE_LENGTH = 500;
+
+// Record an admin action. Failures are logged and swallowed so auditing never breaks the request.
+// `actor` defaults to the authenticated user; pass it explicitly where there is none yet, e.g. during login.
+async function logAudit(action, resource, resourceId, req, details = {}, actor = req.user) {
+  try {
+    await AuditLog.create({
+      action,
+      resource,
+      resourceId,
+      adminId: actor?.id,
+      adminEmail: actor?.email,
+      details,
+      ip: req.ip || req.connection?.remoteAddress
+    });
+  } catch (err) {
+    console.error('Audit log error:', err.message);
+  }
+}
+
+// Plain JSON view of a document (or object) so Dates, ObjectIds and subdocuments compare by value
+function snapshot(doc) {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+// Long bodies such as blog content are clipped so one entry cannot bloat the collection
+function clip(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'string') {
+    return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+  }
+  if (value !== null && typeof value === 'object' && JSON.stringify(value).length > MAX_VALUE_LENGTH) {
+    return '[too large to store]';
+  }
+  return value;
+}
+
+// Field-level diff between two versions: { field: { from, to } } for every changed top-level field.
+// Pass null for `before` on create and for `after` on delete.
+function diffDocuments(before, after) {
+  const from = snapshot(before);
+  const to = snapshot(after);
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from: clip(from[field]), to: clip(to[field]) };
+  }
+
+  return changes;
+}
+
+// Name publish/feature toggles for what they are; anything else is a plain update
+function actionForChanges(changes, fallback = 'update') {
+  if (changes.published) return changes.published.to ? 'publish' : 'unpublish';
+  if (changes.featured) return changes.featured.to ? 'feature' : 'unfeature';
+  return fallback;
+}
+
+// Log a mutation together with its before/after diff
+async function auditChange(action, resource, req, { before = null, after = null, details = {} } = {}) {
+  const target = after || before;
+  await logAudit(action, resource, target?._id, req, {
+    ...details,
+    changes: diffDocuments(before, after)
+  });
+}
+
+module.exports = { logAudit, auditChange, diffDocuments, actionForChanges, snapshot };
@@ -1,6 +1,49 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const AdminSession = require('../models/AdminSession');
+const ApiKey = require('../models/ApiKey');
+const { userHasPermission } = require('./permissions');
+
+// API keys get their own bucket per key rather than sharing the per-IP limits
+const apiKeyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.API_KEY_RATE_LIMIT) || 300,
+  keyGenerator: (req) => `api-key:${req.user.keyId}`,
+  message: { success: false, message: 'API key rate limit exceeded, please slow down.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await ApiKey.findActiveByKey(key);
+    if (!apiKey) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired API key' });
+    }
+
+    apiKey.touch(req.ip).catch(err => console.error('API key usage update failed:', err.message));
+
+    req.user = {
+      id: apiKey._id.toString(),
+      username: apiKey.name,
+      type: 'api-key',
+      keyId: apiKey._id.toString(),
+      keyPrefix: apiKey.prefix,
+      scopes: apiKey.scopes
+    };
+    apiKeyLimiter(req, res, next);
+  } catch (error) {
+    console.error('❌ API key check failed:', error.message);
+    return res.status(500).json({ success: false, message: 'Failed to verify API key' });
+  }
+};
 
 const authenticateToken = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -8,13 +51,53 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ success: false, message: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ success: false, message: 'Invalid or expired token' });
     }
+
+    // Access tokens are tied to a session so logout and revocation take effect immediately
+    try {
+      if (!(await AdminSession.isActive(user.sid))) {
+        return res.status(401).json({ success: false, message: 'Session has been revoked' });
+      }
+    } catch (error) {
+      console.error('❌ Session check failed:', error.message);
+      return res.status(500).json({ success: false, message: 'Failed to verify session' });
+    }
+
     req.user = user;
     next();
   });
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+const denyPermission = (res, permission) => res.status(403).json({
+  success: false,
+  message: `Missing permission: ${permission}`,
+  permission
+});
+
+// Must run after authenticateToken. Every listed permission is required.
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.find(permission => !userHasPermission(req.user, permission));
+
+  if (missing) return denyPermission(res, missing);
+  next();
+};
+
+// Publishing, unpublishing or featuring content needs a publish permission on top of write
+// access, even through the general create and edit routes
+const isPublishChange = (changes, current = { published: false, featured: false }) =>
+  ['published', 'featured'].some(field =>
+    changes[field] !== undefined && String(changes[field]) !== String(current[field])
+  );
+
+// For account and credential management, which only signed-in humans may do
+const rejectApiKeys = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return res.status(403).json({ success: false, message: 'API keys cannot be used for this endpoint' });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, requirePermission, denyPermission, isPublishChange, rejectApiKeys };
@@ -0,0 +1,286 @@
+const Campaign = require('../models/Campaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Subscription = require('../models/Subscription');
+const emailService = require('./emailService');
+const { addTracking } = require('./campaignTracking');
+
+const MINUTE_MS = 60 * 1000;
+const LEASE_MS = 10 * MINUTE_MS;
+const QUEUE_CHUNK = 1000;
+
+const getSenderConfig = () => ({
+  batchSize: parseInt(process.env.CAMPAIGN_BATCH_SIZE) || 50,
+  ratePerMinute: parseInt(process.env.CAMPAIGN_SEND_RATE_PER_MINUTE) || 120,
+  maxAttempts: parseInt(process.env.CAMPAIGN_MAX_ATTEMPTS) || 3
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let running = false;
+
+async function insertDeliveries(deliveries) {
+  try {
+    await CampaignDelivery.insertMany(deliveries, { ordered: false });
+  } catch (error) {
+    // Duplicate keys mean an interrupted run already queued these recipients
+    const writeErrors = error.writeErrors || [];
+    const onlyDuplicates = error.code === 11000 ||
+      (writeErrors.length > 0 && writeErrors.every(e => e.code === 11000));
+    if (!onlyDuplicates) throw error;
+  }
+}
+
+// Give every subscriber the campaign is addressed to a queued delivery. When their batch is sent,
+// those paused are recorded as skipped and those inside their frequency window as deferred.
+// Safe to repeat.
+async function queueRecipients(campaign) {
+  const cursor = Subscription.find(await campaign.audienceQuery()).select('_id email').lean().cursor();
+  let chunk = [];
+
+  for await (const subscription of cursor) {
+    chunk.push({ campaignId: campaign._id, subscriptionId: subscription._id, email: subscription.email });
+    if (chunk.length >= QUEUE_CHUNK) {
+      await insertDeliveries(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length) await insertDeliveries(chunk);
+
+  const now = new Date();
+  await Campaign.updateOne({ _id: campaign._id }, { $set: { recipientsQueuedAt: now, startedAt: campaign.startedAt || now } });
+}
+
+async function updateStats(campaign) {
+  const counts = await CampaignDelivery.countByStatus(campaign._id);
+  const stats = {
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    sent: counts.sent,
+    deferred: counts.deferred,
+    failed: counts.failed,
+    skipped: counts.skipped
+  };
+  await Campaign.updateOne({ _id: campaign._id }, { $set: { stats } });
+  return stats;
+}
+
+const recordOutcome = (campaign) => (subscriber, outcome) => {
+  let update;
+  if (outcome.status === 'sent') {
+    update = { status: 'sent', messageId: outcome.messageId, sentAt: new Date() };
+  } else if (outcome.status === 'deferred') {
+    update = { status: 'deferred', reason: outcome.reason, deferredUntil: outcome.until };
+  } else {
+    update = { status: outcome.status, reason: outcome.reason || outcome.error };
+  }
+  return CampaignDelivery.updateOne({ campaignId: campaign._id, subscriptionId: subscriber._id }, { $set: update });
+};
+
+// Send one claimed campaign in throttled batches. Cancellation takes effect between batches.
+async function sendCampaign(campaign, { batchSize, ratePerMinute } = getSenderConfig()) {
+  if (!campaign.recipientsQueuedAt) await queueRecipients(campaign);
+
+  // We hold the lease, so anything still sending belongs to a run that died mid-batch
+  const interrupted = await CampaignDelivery.updateMany(
+    { campaignId: campaign._id, status: 'sending' },
+    { $set: { status: 'failed', reason: 'Interrupted before delivery was confirmed; not retried to avoid a duplicate' } }
+  );
+  if (interrupted.modifiedCount) {
+    console.warn(`⚠️  Campaign ${campaign._id}: ${interrupted.modifiedCount} deliveries interrupted by a previous run`);
+  }
+
+  for (;;) {
+    if (!(await campaign.renewLease(LEASE_MS))) {
+      console.log(`🛑 Campaign ${campaign._id} was cancelled while sending`);
+      await CampaignDelivery.updateMany(
+        { campaignId: campaign._id, status: { $in: ['queued', 'deferred'] } },
+        { $set: { status: 'skipped', reason: 'Campaign cancelled' } }
+      );
+      return updateStats(campaign);
+    }
+
+    const deliveries = await CampaignDelivery.find({ campaignId: campaign._id, status: 'queued' })
+      .limit(batchSize)
+      .lean();
+    if (!deliveries.length) break;
+
+    await CampaignDelivery.updateMany(
+      { _id: { $in: deliveries.map(d => d._id) } },
+      { $set: { status: 'sending', attemptedAt: new Date() } }
+    );
+
+    const subscribers = await Subscription.find({ _id: { $in: deliveries.map(d => d.subscriptionId) } });
+    const found = new Set(subscribers.map(s => s._id.toString()));
+    const deleted = deliveries.filter(d => !found.has(d.subscriptionId.toString()));
+    if (deleted.length) {
+      await CampaignDelivery.updateMany(
+        { _id: { $in: deleted.map(d => d._id) } },
+        { $set: { status: 'skipped', reason: 'Subscription deleted' } }
+      );
+    }
+
+    const deliveryIds = new Map(deliveries.map(d => [d.subscriptionId.toString(), d._id]));
+    await emailService.sendNewsletter(subscribers, campaign.toNewsletter(), {
+      onResult: recordOutcome(campaign),
+      transformHtml: (subscriber, html) => addTracking(html, deliveryIds.get(subscriber._id.toString()))
+    });
+    await updateStats(campaign);
+
+    await sleep(Math.ceil(deliveries.length / ratePerMinute * MINUTE_MS));
+  }
+
+  const stats = await updateStats(campaign);
+  await Campaign.updateOne(
+    { _id: campaign._id, status: 'sending' },
+    { $set: { status: 'sent', completedAt: new Date() }, $unset: { lockedUntil: 1 } }
+  );
+  console.log(`📨 Campaign ${campaign._id} finished: ${stats.sent} sent, ${stats.deferred} deferred, ${stats.failed} failed, ${stats.skipped} skipped`);
+  return stats;
+}
+
+// Send one subscriber the deferred deliveries that are due, as one digest. Preferences are checked
+// again because they may have changed while the newsletters waited. Resolves whether a digest
+// went out and the ids of the campaigns whose deliveries changed.
+async function sendDigest(subscriptionId, now) {
+  const claimedAt = new Date();
+  const claimed = await CampaignDelivery.updateMany(
+    { subscriptionId, status: 'deferred', deferredUntil: { $lte: now } },
+    { $set: { status: 'sending', attemptedAt: claimedAt } }
+  );
+  if (!claimed.modifiedCount) return { sent: false, campaignIds: [] };
+
+  const deliveries = await CampaignDelivery.find({ subscriptionId, status: 'sending', attemptedAt: claimedAt }).sort({ _id: 1 }).lean();
+  const [subscriber, campaigns] = await Promise.all([
+    Subscription.findById(subscriptionId),
+    Campaign.find({ _id: { $in: deliveries.map(d => d.campaignId) } })
+  ]);
+  const campaignIds = [...new Set(deliveries.map(d => d.campaignId.toString()))];
+  const unsent = { sent: false, campaignIds };
+  const setStatus = (ids, update) => CampaignDelivery.updateMany({ _id: { $in: ids } }, { $set: update });
+
+  if (!subscriber) {
+    await setStatus(deliveries.map(d => d._id), { status: 'skipped', reason: 'Subscription deleted' });
+    return unsent;
+  }
+
+  // Another email went out or the frequency changed since these were deferred
+  const nextAt = Subscription.nextNewsletterAt(subscriber);
+  if (nextAt && nextAt > now) {
+    await setStatus(deliveries.map(d => d._id), { status: 'deferred', deferredUntil: nextAt });
+    return unsent;
+  }
+
+  const byId = new Map(campaigns.map(c => [c._id.toString(), c]));
+  const included = [];
+  for (const delivery of deliveries) {
+    const campaign = byId.get(delivery.campaignId.toString());
+    const reason = !campaign || ['cancelled', 'failed'].includes(campaign.status)
+      ? `Campaign ${campaign ? campaign.status : 'deleted'}`
+      : Subscription.ineligibilityReason(subscriber, campaign.segment?.category, now);
+    if (reason) {
+      await setStatus([delivery._id], { status: 'skipped', reason });
+    } else {
+      included.push({ delivery, campaign });
+    }
+  }
+  if (!included.length) return unsent;
+
+  const ids = included.map(({ delivery }) => delivery._id);
+  try {
+    const result = await emailService.sendNewsletterDigest(subscriber, included.map(({ delivery, campaign }) => ({
+      ...campaign.toNewsletter(),
+      html: addTracking(campaign.html, delivery._id)
+    })));
+    await setStatus(ids, { status: 'sent', messageId: result.messageId, sentAt: new Date() });
+    return { sent: true, campaignIds };
+  } catch (error) {
+    await setStatus(ids, { status: 'failed', reason: error.message });
+    return unsent;
+  }
+}
+
+// Send every digest that is due, throttled like campaign batches
+async function sendDueDigests({ ratePerMinute } = getSenderConfig(), now = new Date()) {
+  // A digest still sending a lease period later belongs to a run that died
+  await CampaignDelivery.updateMany(
+    { status: 'sending', deferredUntil: { $ne: null }, attemptedAt: { $lte: new Date(now.getTime() - LEASE_MS) } },
+    { $set: { status: 'failed', reason: 'Interrupted before delivery was confirmed; not retried to avoid a duplicate' } }
+  );
+
+  const subscriptionIds = await CampaignDelivery.distinct('subscriptionId', { status: 'deferred', deferredUntil: { $lte: now } });
+  const touched = new Set();
+  let digests = 0;
+  for (const subscriptionId of subscriptionIds) {
+    const { sent, campaignIds } = await sendDigest(subscriptionId, now);
+    campaignIds.forEach(id => touched.add(id));
+    if (sent) {
+      digests++;
+      await sleep(Math.ceil(MINUTE_MS / ratePerMinute));
+    }
+  }
+
+  for (const campaignId of touched) await updateStats({ _id: campaignId });
+  if (digests) console.log(`📨 Sent ${digests} newsletter digests`);
+  return { digests };
+}
+
+// Count a sender run that errored. Until maxAttempts the lease runs out and a later run resumes
+// where this one stopped; after that the campaign is marked failed and its remaining recipients
+// skipped.
+async function recordFailure(campaign, error, maxAttempts) {
+  const updated = await Campaign.findOneAndUpdate(
+    { _id: campaign._id, status: 'sending' },
+    { $inc: { sendAttempts: 1 }, $set: { lastError: error.message } },
+    { new: true }
+  );
+  if (!updated || updated.sendAttempts < maxAttempts) return;
+
+  await Campaign.updateOne(
+    { _id: campaign._id, status: 'sending' },
+    { $set: { status: 'failed', failedAt: new Date() }, $unset: { lockedUntil: 1 } }
+  );
+  await CampaignDelivery.updateMany(
+    { campaignId: campaign._id, status: { $in: ['queued', 'deferred'] } },
+    { $set: { status: 'skipped', reason: 'Campaign failed' } }
+  );
+  await updateStats(campaign);
+  console.error(`❌ Campaign ${campaign._id} failed after ${updated.sendAttempts} attempts`);
+}
+
+// Send the digests that are due, then every campaign that is due, one at a time. Digests go
+// first so a new campaign doesn't restart a subscriber's frequency window before them.
+async function runCampaignSender(config = getSenderConfig()) {
+  if (running) return { skipped: true };
+  running = true;
+
+  try {
+    const { digests } = await sendDueDigests(config);
+    let processed = 0;
+    let campaign;
+    while ((campaign = await Campaign.claimDue(LEASE_MS))) {
+      try {
+        await sendCampaign(campaign, config);
+      } catch (error) {
+        console.error(`❌ Campaign ${campaign._id} send failed:`, error.message);
+        await recordFailure(campaign, error, config.maxAttempts).catch(failure => {
+          console.error(`❌ Could not record campaign ${campaign._id} failure:`, failure.message);
+        });
+        break;
+      }
+      processed++;
+    }
+    return { processed, digests };
+  } finally {
+    running = false;
+  }
+}
+
+function scheduleCampaignSender() {
+  const run = () => runCampaignSender().catch(error => {
+    console.error('❌ Campaign sender job failed:', error.message);
+  });
+
+  setTimeout(run, MINUTE_MS).unref();
+  setInterval(run, MINUTE_MS).unref();
+}
+
+module.exports = { getSenderConfig, sendCampaign, sendDueDigests, runCampaignSender, scheduleCampaignSender };
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const { apiLink } = require('./subscriptionTokens');
+
+// Opens and clicks are recorded against a CampaignDelivery. Tracking URLs carry the delivery id
+// and an HMAC, so they can't be forged for other recipients; click signatures also cover the
+// destination, so the redirect can't be pointed somewhere else.
+
+const OPEN_TOKEN_PATTERN = /^([a-f0-9]{24})\.([a-f0-9]{16})(?:\.gif)?$/i;
+const LINK_PATTERN = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi;
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const tokenSecret = () => {
+  const secret = process.env.CAMPAIGN_TRACKING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('CAMPAIGN_TRACKING_SECRET or JWT_SECRET must be set to sign tracking links');
+  return secret;
+};
+
+const sign = (...parts) =>
+  crypto.createHmac('sha256', tokenSecret()).update(parts.join('\n')).digest('hex').slice(0, 16);
+
+const signatureMatches = (expected, signature) =>
+  typeof signature === 'string' && signature.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature.toLowerCase()));
+
+const openPixelUrl = (deliveryId) => apiLink(`/api/campaigns/track/open/${deliveryId}.${sign(deliveryId)}.gif`);
+
+const clickUrl = (deliveryId, url) =>
+  apiLink(`/api/campaigns/track/click/${deliveryId}?url=${encodeURIComponent(url)}&sig=${sign(deliveryId, url)}`);
+
+// Route http(s) links through the click redirect and append an open pixel
+const addTracking = (html, deliveryId) => {
+  const tracked = String(html).replace(LINK_PATTERN, (match, prefix, quote, href) => {
+    const url = href.replace(/&amp;/g, '&');
+    return `${prefix}${quote}${clickUrl(deliveryId, url).replace(/&/g, '&amp;')}${quote}`;
+  });
+  return `${tracked}<img src="${openPixelUrl(deliveryId)}" width="1" height="1" alt="" style="display:block;border:0;" />`;
+};
+
+// Returns the delivery id from an open token, or null if it was tampered with
+const verifyOpenToken = (token) => {
+  const match = String(token || '').match(OPEN_TOKEN_PATTERN);
+  if (!match) return null;
+  const [, deliveryId, signature] = match;
+  return signatureMatches(sign(deliveryId.toLowerCase()), signature) ? deliveryId.toLowerCase() : null;
+};
+
+const verifyClick = (deliveryId, url, signature) =>
+  /^[a-f0-9]{24}$/i.test(String(deliveryId)) && typeof url === 'string' && /^https?:\/\//i.test(url) &&
+  signatureMatches(sign(String(deliveryId).toLowerCase(), url), signature);
+
+// First open is kept; $min fills the field when it is missing
+const recordOpen = (deliveryId) =>
+  CampaignDelivery.updateOne({ _id: deliveryId }, { $min: { openedAt: new Date() } });
+
+// A click implies the email was opened, even if images were blocked
+const recordClick = (deliveryId) => {
+  const now = new Date();
+  return CampaignDelivery.updateOne(
+    { _id: deliveryId },
+    { $min: { openedAt: now, clickedAt: now }, $inc: { clickCount: 1 } }
+  );
+};
+
+module.exports = {
+  PIXEL,
+  addTracking,
+  verifyOpenToken,
+  verifyClick,
+  recordOpen,
+  recordClick
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+// Contact form attachments are kept outside the public /uploads mount and only
+// served through the authenticated download route.
+const attachmentsDir = process.env.CONTACT_ATTACHMENTS_DIR
+  || path.join(__dirname, '..', 'storage', 'contact-attachments');
+
+if (!fs.existsSync(attachmentsDir)) {
+  fs.mkdirSync(attachmentsDir, { recursive: true });
+}
+
+const MB = 1024 * 1024;
+const MAX_FILE_SIZE = (parseInt(process.env.CONTACT_ATTACHMENT_MAX_MB) || 10) * MB;
+const MAX_TOTAL_SIZE = (parseInt(process.env.CONTACT_ATTACHMENTS_TOTAL_MB) || 20) * MB;
+const MAX_FILES = parseInt(process.env.CONTACT_ATTACHMENTS_MAX_FILES) || 5;
+
+// Allowed MIME types and the extensions each may arrive with. The stored file always gets the
+// first extension, so a misleading name can't change how it is opened.
+const ALLOWED_TYPES = {
+  'application/pdf': ['.pdf'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'application/vnd.ms-powerpoint': ['.ppt'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+  'application/vnd.oasis.opendocument.text': ['.odt'],
+  'application/rtf': ['.rtf'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv'],
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/webp': ['.webp']
+};
+
+// Display name safe for headers and mail clients: no paths, control characters or odd symbols
+const sanitizeFilename = (name) => {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'));
+  const cleaned = base
+    .normalize('NFKC')
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/[^\w.\- ()]/g, '_')
+    .replace(/^\.+/, '')
+    .trim();
+
+  if (!cleaned) return 'attachment';
+  if (cleaned.length <= 100) return cleaned;
+  const ext = path.extname(cleaned).slice(0, 10);
+  return cleaned.slice(0, 100 - ext.length) + ext;
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, attachmentsDir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, crypto.randomBytes(16).toString('hex') + ALLOWED_TYPES[file.mimetype][0]);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    const extensions = ALLOWED_TYPES[file.mimetype];
+    const ext = path.extname(file.originalname || '').toLowerCase();
+
+    if (extensions && extensions.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+  }
+});
+
+const removeUploadedFiles = (files = []) => {
+  for (const file of files) {
+    fs.unlink(file.path, (err) => {
+      if (err && err.code !== 'ENOENT') console.error('Failed to delete attachment:', file.path, err.message);
+    });
+  }
+};
+
+const uploadErrorMessage = (error) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE': return `Each attachment must be ${MAX_FILE_SIZE / MB}MB or smaller`;
+    case 'LIMIT_FILE_COUNT': return `You can attach up to ${MAX_FILES} files`;
+    case 'LIMIT_UNEXPECTED_FILE': return 'File type not allowed. Please attach PDF, Office, text or image files.';
+    default: return error.message;
+  }
+};
+
+// Accept up to MAX_FILES files in the `attachments` field. JSON requests pass straight through.
+const uploadAttachments = (req, res, next) => {
+  upload.array('attachments', MAX_FILES)(req, res, (error) => {
+    if (error) {
+      removeUploadedFiles(req.files);
+      const statusCode = error instanceof multer.MulterError ? 400 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to upload attachments',
+        error: uploadErrorMessage(error)
+      });
+    }
+
+    const total = (req.files || []).reduce((sum, file) => sum + file.size, 0);
+    if (total > MAX_TOTAL_SIZE) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to upload attachments',
+        error: `Attachments must be ${MAX_TOTAL_SIZE / MB}MB or smaller in total`
+      });
+    }
+
+    next();
+  });
+};
+
+// Metadata stored on the Contact for each uploaded file
+const toAttachmentRecords = (files = []) => files.map(file => ({
+  filename: file.filename,
+  originalName: sanitizeFilename(file.originalname),
+  mimeType: file.mimetype,
+  size: file.size
+}));
+
+const attachmentPath = (attachment) => path.join(attachmentsDir, path.basename(attachment.filename));
+
+// Nodemailer attachment list for a contact
+const mailAttachments = (contact) => (contact.attachments || []).map(attachment => ({
+  filename: attachment.originalName,
+  path: attachmentPath(attachment),
+  contentType: attachment.mimeType
+}));
+
+const removeContactAttachments = (contact) =>
+  removeUploadedFiles((contact.attachments || []).map(attachment => ({ path: attachmentPath(attachment) })));
+
+module.exports = {
+  uploadAttachments,
+  removeUploadedFiles,
+  toAttachmentRecords,
+  attachmentPath,
+  mailAttachments,
+  removeContactAttachments,
+  sanitizeFilename
+};
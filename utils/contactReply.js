@@ -0,0 +1,74 @@
+const AdminUser = require('../models/AdminUser');
+const ContactMessage = require('../models/ContactMessage');
+const emailService = require('./emailService');
+const { replyAddressFor } = require('./inboundEmail');
+const { snapshot } = require('./auditService');
+
+// Name to sign replies with. Access tokens only carry the username, so look up the admin's
+// display name; API keys sign with the key's name.
+const senderName = async (actor) => {
+  if (actor.type === 'api-key') return actor.username;
+  const user = await AdminUser.findById(actor.id).select('name username');
+  return user?.name || user?.username || actor.username;
+};
+
+// Email a reply to a contact and store it in the thread. A first reply moves a pending
+// contact to `review`; later replies move it to `worked` unless a status is given.
+// Resolves to { sent, reply, contact, before, error? }; a failed send is stored on the
+// thread and leaves the contact untouched.
+const sendContactReply = async (contact, { message, subject, signature, status }, actor) => {
+  const before = snapshot(contact);
+
+  // Contacts from the web form have no Message-ID of their own; give the thread a stable root
+  if (!contact.messageId) {
+    contact.messageId = emailService.generateMessageId();
+  }
+
+  const { inReplyTo, references } = await ContactMessage.buildReferences(contact);
+  const messageId = emailService.generateMessageId();
+  const sentAt = new Date();
+  const actorName = await senderName(actor);
+
+  const reply = new ContactMessage({
+    contactId: contact._id,
+    direction: 'outbound',
+    from: process.env.EMAIL_FROM,
+    to: contact.email,
+    body: message,
+    messageId,
+    inReplyTo,
+    references,
+    sentBy: actor.id,
+    sentByName: actorName,
+    sentAt
+  });
+
+  try {
+    const result = await emailService.sendContactReply(contact, {
+      subject,
+      message,
+      adminName: signature || actorName,
+      replyTo: replyAddressFor(contact),
+      messageId,
+      inReplyTo,
+      references
+    });
+    reply.subject = result.subject;
+  } catch (sendError) {
+    reply.deliveryStatus = 'failed';
+    reply.error = sendError.message;
+    await reply.save();
+    return { sent: false, reply, contact, before, error: sendError };
+  }
+
+  await reply.save();
+
+  contact.status = status || (contact.status === 'pending' ? 'review' : 'worked');
+  if (!contact.respondedAt) contact.respondedAt = sentAt;
+  contact.lastMessageAt = sentAt;
+  await contact.save();
+
+  return { sent: true, reply, contact, before };
+};
+
+module.exports = { senderName, sendContactReply };
@@ -0,0 +1,15 @@
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Normalise an address so one person's spellings match: case-insensitive everywhere, and
+// Gmail ignores dots and treats googlemail.com as gmail.com
+const normalizeEmail = (email) => {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return String(email || '').trim().toLowerCase();
+
+  if (GMAIL_DOMAINS.includes(domain)) {
+    return `${local.replace(/\./g, '')}@gmail.com`;
+  }
+  return `${local}@${domain}`;
+};
+
+module.exports = { normalizeEmail };
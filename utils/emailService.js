@@ -1,4 +1,7 @@
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
+const Subscription = require('../models/Subscription');
+const { subscriberLinks, siteLink, apiLink } = require('./subscriptionTokens');
 
 // Helper function to escape HTML characters
 const escapeHtml = (text) => {
@@ -65,6 +68,35 @@ const createTransporter = () => {
   });
 };
 
+// Domain used on the right-hand side of our Message-IDs, taken from EMAIL_FROM
+const messageIdDomain = () => {
+  const match = String(process.env.EMAIL_FROM || '').match(/@([^>\s]+)/);
+  return match ? match[1] : 'localhost';
+};
+
+// RFC 2369 / RFC 8058 headers so mail clients can offer a one-click unsubscribe button
+const listUnsubscribeHeaders = (links) => ({
+  'List-Unsubscribe': `<${links.oneClickUrl}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+// Stand-in links for previews and test sends, which have no real subscriber behind them
+const sampleSubscriberLinks = () => ({
+  pageUrl: siteLink('newsletter/unsubscribe', 'preview'),
+  oneClickUrl: apiLink('/api/subscription/unsubscribe/preview'),
+  preferencesUrl: siteLink('newsletter/preferences', 'preview')
+});
+
+const subscriberFooter = (links) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 30px auto 0; padding-top: 20px; border-top: 1px solid #e2e8f0;">
+        <p style="color: #64748b; font-size: 12px; text-align: center;">
+          You're receiving this because you subscribed to my newsletter.
+          <a href="${escapeHtmlPlain(links.preferencesUrl)}" style="color: #64748b;">Manage preferences</a> ·
+          <a href="${escapeHtmlPlain(links.pageUrl)}" style="color: #64748b;">Unsubscribe</a>
+        </p>
+      </div>
+    `;
+
 // Email templates
 const emailTemplates = {
   contactNotification: (contactData) => ({
@@ -85,6 +117,11 @@ const emailTemplates = {
           <div style="background-color: white; padding: 15px; border-radius: 5px; border-left: 4px solid #2563eb;">
             ${escapeHtml(contactData.message)}
           </div>
+          ${contactData.attachments && contactData.attachments.length ? `
+          <p><strong>Attachments:</strong></p>
+          <ul>
+            ${contactData.attachments.map(a => `<li>${escapeHtmlPlain(a.originalName)} (${Math.ceil(a.size / 1024)} KB)</li>`).join('')}
+          </ul>` : ''}
         </div>
         
         <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
@@ -148,7 +185,41 @@ const emailTemplates = {
     `
   }),
 
-  subscriptionWelcome: (subscriptionData) => ({
+  subscriptionConfirmation: (subscriptionData, confirmUrl, expiresInHours) => ({
+    subject: 'Please confirm your newsletter subscription',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb; border-bottom: 2px solid #2563eb; padding-bottom: 10px;">
+          Confirm Your Subscription
+        </h2>
+        
+        <p>Hi ${escapeHtmlPlain(subscriptionData.firstName || 'there')},</p>
+        
+        <p>Someone, hopefully you, asked to subscribe <strong>${escapeHtmlPlain(subscriptionData.email)}</strong> to my newsletter. Please confirm that you want to receive it.</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtmlPlain(confirmUrl)}" style="background-color: #2563eb; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">
+            Confirm Subscription
+          </a>
+        </div>
+        
+        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+          <p style="margin: 0; color: #92400e;">
+            This link expires in ${expiresInHours} hours. If you didn't sign up, just ignore this email and you won't hear from me again.
+          </p>
+        </div>
+        
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0;">
+          <p style="color: #64748b; font-size: 12px;">
+            If the button doesn't work, copy this link into your browser:<br>
+            ${escapeHtmlPlain(confirmUrl)}
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
+  subscriptionWelcome: (subscriptionData, links) => ({
     subject: 'Welcome to My Newsletter! 🚀',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -156,7 +227,7 @@ const emailTemplates = {
           Welcome to My Newsletter!
         </h2>
         
-        <p>Hi ${subscriptionData.firstName || 'there'},</p>
+        <p>Hi ${escapeHtmlPlain(subscriptionData.firstName || 'there')},</p>
         
         <p>Thank you for subscribing to my newsletter! I'm excited to share my latest projects, tech insights, and industry trends with you.</p>
         
@@ -184,7 +255,9 @@ const emailTemplates = {
         
         <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0;">
           <p style="color: #64748b; font-size: 12px;">
-            You can unsubscribe anytime by clicking the unsubscribe link in future emails.
+            Choose what you receive and how often in your
+            <a href="${escapeHtmlPlain(links.preferencesUrl)}" style="color: #64748b;">preference center</a>,
+            or <a href="${escapeHtmlPlain(links.pageUrl)}" style="color: #64748b;">unsubscribe</a> at any time.
           </p>
         </div>
       </div>
@@ -193,7 +266,162 @@ const emailTemplates = {
 
   newsletter: (subscribers, newsletterData) => ({
     subject: newsletterData.subject,
-    html: newsletterData.html
+    html: newsletterData.html,
+    text: newsletterData.text
+  }),
+
+  // Per-recipient body: the newsletter plus that subscriber's preference and unsubscribe links
+  newsletterForSubscriber: (template, links) => `${template.html}${subscriberFooter(links)}`,
+
+  // Plain-text counterpart of newsletterForSubscriber; undefined when the newsletter has no text part
+  newsletterTextForSubscriber: (template, links) => (template.text
+    ? `${template.text}\n\n--\nManage preferences: ${links.preferencesUrl}\nUnsubscribe: ${links.pageUrl}\n`
+    : undefined),
+
+  // Newsletters held back by a subscriber's frequency, one after another under their subjects.
+  // The text part is left out unless every newsletter has one.
+  newsletterDigest: (newsletters, frequency) => ({
+    subject: newsletters.length === 1
+      ? newsletters[0].subject
+      : `Your ${frequency} digest: ${newsletters[0].subject} and ${newsletters.length - 1} more`,
+    html: newsletters.map(newsletter => `
+      <div style="margin-bottom: 40px;">
+        <h2 style="font-family: Arial, sans-serif; color: #2563eb; border-bottom: 2px solid #2563eb; padding-bottom: 10px;">
+          ${escapeHtmlPlain(newsletter.subject)}
+        </h2>
+        ${newsletter.html}
+      </div>
+    `).join(''),
+    text: newsletters.every(newsletter => newsletter.text)
+      ? newsletters.map(newsletter => `${newsletter.subject}\n\n${newsletter.text}`).join('\n\n* * *\n\n')
+      : undefined
+  }),
+
+  passwordReset: (userData, resetUrl, expiresInMinutes) => ({
+    subject: 'Reset your admin password',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb; border-bottom: 2px solid #2563eb; padding-bottom: 10px;">
+          Password Reset Request
+        </h2>
+        
+        <p>Hi ${escapeHtmlPlain(userData.name || userData.username)},</p>
+        
+        <p>Someone asked to reset the password for your portfolio admin account. If it was you, use the button below to choose a new password.</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtmlPlain(resetUrl)}" style="background-color: #2563eb; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">
+            Reset Password
+          </a>
+        </div>
+        
+        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+          <p style="margin: 0; color: #92400e;">
+            This link expires in ${expiresInMinutes} minutes and can only be used once. Resetting your password signs you out of every device.
+          </p>
+        </div>
+        
+        <p>If you didn't request this, you can safely ignore this email. Your password will not change.</p>
+        
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0;">
+          <p style="color: #64748b; font-size: 12px;">
+            If the button doesn't work, copy this link into your browser:<br>
+            ${escapeHtmlPlain(resetUrl)}
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
+  adminInvitation: (inviteData, inviteUrl, inviterName, expiresInHours) => ({
+    subject: `${inviterName} invited you to the portfolio admin`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb; border-bottom: 2px solid #2563eb; padding-bottom: 10px;">
+          You're Invited! 👋
+        </h2>
+        
+        <p>Hi ${escapeHtmlPlain(inviteData.name || 'there')},</p>
+        
+        <p><strong>${escapeHtmlPlain(inviterName)}</strong> has invited you to help manage the portfolio website as <strong>${escapeHtmlPlain(inviteData.role)}</strong>.</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtmlPlain(inviteUrl)}" style="background-color: #2563eb; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">
+            Accept Invitation
+          </a>
+        </div>
+        
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;">You'll choose a username and password when you accept. This invitation expires in ${expiresInHours} hours and can only be used once.</p>
+        </div>
+        
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0;">
+          <p style="color: #64748b; font-size: 12px;">
+            If the button doesn't work, copy this link into your browser:<br>
+            ${escapeHtmlPlain(inviteUrl)}
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
+  contactReply: (contactData, replyData) => ({
+    subject: replyData.subject || `Re: ${contactData.subject}`,
+    text: `${replyData.message}\n\n---\nOn ${new Date(contactData.createdAt).toLocaleString()}, ${contactData.name} wrote:\n${contactData.message}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p>Hi ${escapeHtmlPlain(contactData.name)},</p>
+        
+        <div>${escapeHtml(replyData.message)}</div>
+        
+        <p>Best regards,<br>
+        <strong>${escapeHtmlPlain(replyData.adminName || 'Akash Raikwar')}</strong></p>
+        
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; color: #64748b; font-size: 14px;">
+          <p style="margin-top: 0;">On ${new Date(contactData.createdAt).toLocaleString()}, ${escapeHtmlPlain(contactData.name)} wrote:</p>
+          <blockquote style="margin: 0; padding-left: 15px; border-left: 4px solid #e2e8f0;">
+            ${escapeHtml(contactData.message)}
+          </blockquote>
+        </div>
+      </div>
+    `
+  }),
+
+  contactAssignment: (contactData, assigneeData, assignerName, contactUrl) => ({
+    subject: `Assigned to you: ${contactData.subject}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb; border-bottom: 2px solid #2563eb; padding-bottom: 10px;">
+          New Contact Assigned to You
+        </h2>
+        
+        <p>Hi ${escapeHtmlPlain(assigneeData.name || assigneeData.username)},</p>
+        
+        <p><strong>${escapeHtmlPlain(assignerName)}</strong> assigned you a contact form message.</p>
+        
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>From:</strong> ${escapeHtmlPlain(contactData.name)} (${escapeHtmlPlain(contactData.email)})</p>
+          <p><strong>Subject:</strong> ${escapeHtmlPlain(contactData.subject)}</p>
+          <p><strong>Priority:</strong> ${escapeHtmlPlain(contactData.priority)}</p>
+          <div style="background-color: white; padding: 15px; border-radius: 5px; border-left: 4px solid #2563eb;">
+            ${escapeHtml(contactData.message)}
+          </div>
+        </div>
+        
+        ${contactData.firstResponseDue ? `
+        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+          <p style="margin: 0; color: #92400e;">
+            <strong>First response due:</strong> ${new Date(contactData.firstResponseDue).toLocaleString()}
+          </p>
+        </div>` : ''}
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtmlPlain(contactUrl)}" style="background-color: #2563eb; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">
+            Open Contact
+          </a>
+        </div>
+      </div>
+    `
   }),
 
   eventRegistrationConfirmation: (regData, eventData) => {
@@ -258,7 +486,7 @@ const emailTemplates = {
 // Email service functions
 const emailService = {
   // Send contact form notification to admin
-  async sendContactNotification(contactData) {
+  async sendContactNotification(contactData, attachments = []) {
     try {
       console.log('📧 [sendContactNotification] Starting...');
       console.log('📧 [sendContactNotification] Sending to:', process.env.EMAIL_USER);
@@ -271,7 +499,8 @@ const emailService = {
         from: process.env.EMAIL_FROM,
         to: process.env.EMAIL_USER,
         subject: template.subject,
-        html: template.html
+        html: template.html,
+        attachments
       };
 
       console.log('📧 [sendContactNotification] Mail options:', { from: mailOptions.from, to: mailOptions.to, subject: mailOptions.subject });
@@ -313,17 +542,41 @@ const emailService = {
     }
   },
 
+  // Send double opt-in confirmation link to a new subscriber
+  async sendSubscriptionConfirmation(subscriptionData, confirmUrl, expiresInHours) {
+    try {
+      const transporter = createTransporter();
+      const template = emailTemplates.subscriptionConfirmation(subscriptionData, confirmUrl, expiresInHours);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: subscriptionData.email,
+        subject: template.subject,
+        html: template.html
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      console.log('✅ Subscription confirmation sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Error sending subscription confirmation:', error.message);
+      throw error;
+    }
+  },
+
   // Send welcome email to new subscribers
   async sendSubscriptionWelcome(subscriptionData) {
     try {
       const transporter = createTransporter();
-      const template = emailTemplates.subscriptionWelcome(subscriptionData);
+      const links = subscriberLinks(subscriptionData);
+      const template = emailTemplates.subscriptionWelcome(subscriptionData, links);
       
       const mailOptions = {
         from: process.env.EMAIL_FROM,
         to: subscriptionData.email,
         subject: template.subject,
-        html: template.html
+        html: template.html,
+        headers: listUnsubscribeHeaders(links)
       };
 
       const result = await transporter.sendMail(mailOptions);
@@ -336,33 +589,143 @@ const emailService = {
   },
 
   // Send newsletter to subscribers
-  async sendNewsletter(subscribers, newsletterData) {
+  // Subscribers whose preferences rule this send out (wrong topic or paused) are skipped and
+  // reported. Those inside their frequency window are reported as deferred with the date it ends,
+  // so the caller can hold the newsletter for their digest. `newsletterData.category` names the
+  // preference flag to check and defaults to `newsletters`.
+  // A failed recipient doesn't stop the rest; `options.onResult(subscriber, outcome)` is awaited
+  // after each one so callers can record delivery as it happens. `options.transformHtml(subscriber, html)`
+  // can rewrite the body per recipient, e.g. to add tracking, before the footer is appended.
+  async sendNewsletter(subscribers, newsletterData, options = {}) {
     try {
       const transporter = createTransporter();
       const template = emailTemplates.newsletter(subscribers, newsletterData);
+      const category = newsletterData.category || 'newsletters';
       
       const results = [];
+      const skipped = [];
+      const deferred = [];
+      const failed = [];
       
       for (const subscriber of subscribers) {
-        const mailOptions = {
-          from: process.env.EMAIL_FROM,
-          to: subscriber.email,
-          subject: template.subject,
-          html: template.html
-        };
-
-        const result = await transporter.sendMail(mailOptions);
-        results.push({ email: subscriber.email, messageId: result.messageId });
+        let outcome;
+        const reason = Subscription.ineligibilityReason(subscriber, category);
+
+        if (reason?.startsWith('frequency:')) {
+          const until = Subscription.nextNewsletterAt(subscriber);
+          deferred.push({ email: subscriber.email, reason, until });
+          outcome = { status: 'deferred', reason, until };
+        } else if (reason) {
+          skipped.push({ email: subscriber.email, reason });
+          outcome = { status: 'skipped', reason };
+        } else {
+          const links = subscriberLinks(subscriber);
+          const body = options.transformHtml
+            ? { ...template, html: options.transformHtml(subscriber, template.html) }
+            : template;
+          const mailOptions = {
+            from: process.env.EMAIL_FROM,
+            to: subscriber.email,
+            subject: template.subject,
+            html: emailTemplates.newsletterForSubscriber(body, links),
+            text: emailTemplates.newsletterTextForSubscriber(template, links),
+            headers: listUnsubscribeHeaders(links)
+          };
+
+          try {
+            const result = await transporter.sendMail(mailOptions);
+            results.push({ email: subscriber.email, messageId: result.messageId });
+            outcome = { status: 'sent', messageId: result.messageId };
+          } catch (error) {
+            console.error(`❌ Newsletter to ${subscriber.email} failed:`, error.message);
+            failed.push({ email: subscriber.email, error: error.message });
+            outcome = { status: 'failed', error: error.message };
+          }
+
+          // The email is out either way; a bookkeeping failure must not report it as failed
+          if (outcome.status === 'sent') {
+            await Subscription.recordEmailSent(subscriber._id).catch(error => {
+              console.error(`❌ Could not record newsletter sent to ${subscriber.email}:`, error.message);
+            });
+          }
+        }
+
+        if (options.onResult) await options.onResult(subscriber, outcome);
       }
 
-      console.log(`✅ Newsletter sent to ${results.length} subscribers`);
-      return { success: true, results };
+      console.log(`✅ Newsletter sent to ${results.length} subscribers (${skipped.length} skipped by preferences, ${deferred.length} deferred to a digest, ${failed.length} failed)`);
+      return { success: true, results, skipped, deferred, failed };
     } catch (error) {
       console.error('❌ Error sending newsletter:', error);
       throw error;
     }
   },
 
+  // Send one subscriber the newsletters their frequency held back, as a single digest. Preferences
+  // are not checked here; the caller decides which newsletters still belong in it. Throws if the
+  // email fails.
+  async sendNewsletterDigest(subscriber, newsletters) {
+    try {
+      const transporter = createTransporter();
+      const template = emailTemplates.newsletterDigest(newsletters, subscriber.frequency);
+      const links = subscriberLinks(subscriber);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: subscriber.email,
+        subject: template.subject,
+        html: emailTemplates.newsletterForSubscriber(template, links),
+        text: emailTemplates.newsletterTextForSubscriber(template, links),
+        headers: listUnsubscribeHeaders(links)
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      await Subscription.recordEmailSent(subscriber._id).catch(error => {
+        console.error(`❌ Could not record digest sent to ${subscriber.email}:`, error.message);
+      });
+
+      console.log(`✅ Newsletter digest of ${newsletters.length} sent:`, result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Error sending newsletter digest:', error);
+      throw error;
+    }
+  },
+
+  // Render a newsletter as a subscriber would see it, with stand-in preference and unsubscribe links
+  previewNewsletter(newsletterData) {
+    const template = emailTemplates.newsletter([], newsletterData);
+    const links = sampleSubscriberLinks();
+    return {
+      subject: template.subject,
+      html: emailTemplates.newsletterForSubscriber(template, links),
+      text: emailTemplates.newsletterTextForSubscriber(template, links)
+    };
+  },
+
+  // Send a newsletter proof to admin addresses. Skips preference checks and subscriber bookkeeping.
+  async sendNewsletterTest(emails, newsletterData) {
+    try {
+      const transporter = createTransporter();
+      const preview = this.previewNewsletter(newsletterData);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: emails.join(', '),
+        subject: `[Test] ${preview.subject}`,
+        html: preview.html,
+        text: preview.text
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      console.log('✅ Newsletter test sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Error sending newsletter test:', error.message);
+      throw error;
+    }
+  },
+
   // Send event registration confirmation to attendee
   async sendEventRegistrationConfirmation(registrationData, eventData) {
     try {
@@ -386,6 +749,109 @@ const emailService = {
     }
   },
 
+  // Send password reset link to an admin user
+  async sendPasswordReset(userData, resetUrl, expiresInMinutes) {
+    try {
+      const transporter = createTransporter();
+      const template = emailTemplates.passwordReset(userData, resetUrl, expiresInMinutes);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: userData.email,
+        subject: template.subject,
+        html: template.html
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      console.log('✅ Password reset email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Error sending password reset email:', error.message);
+      throw error;
+    }
+  },
+
+  // Send invitation to a new admin editor
+  async sendAdminInvitation(inviteData, inviteUrl, inviterName, expiresInHours) {
+    try {
+      const transporter = createTransporter();
+      const template = emailTemplates.adminInvitation(inviteData, inviteUrl, inviterName, expiresInHours);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: inviteData.email,
+        subject: template.subject,
+        html: template.html
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      console.log('✅ Admin invitation sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Error sending admin invitation:', error.message);
+      throw error;
+    }
+  },
+
+  // Tell an admin a contact was assigned to them
+  async sendContactAssignment(contactData, assigneeData, assignerName, contactUrl) {
+    try {
+      const transporter = createTransporter();
+      const template = emailTemplates.contactAssignment(contactData, assigneeData, assignerName, contactUrl);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: assigneeData.email,
+        subject: template.subject,
+        html: template.html
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      console.log('✅ Contact assignment email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Error sending contact assignment email:', error.message);
+      throw error;
+    }
+  },
+
+  // Render a contact reply exactly as sendContactReply would, without sending it
+  previewContactReply(contactData, replyData) {
+    return emailTemplates.contactReply(contactData, replyData);
+  },
+
+  // New RFC 5322 Message-ID, angle brackets included
+  generateMessageId() {
+    return `<${crypto.randomUUID()}@${messageIdDomain()}>`;
+  },
+
+  // Send an admin reply to a contact, threaded onto the original conversation
+  async sendContactReply(contactData, replyData) {
+    try {
+      const transporter = createTransporter();
+      const template = emailTemplates.contactReply(contactData, replyData);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: contactData.email,
+        replyTo: replyData.replyTo,
+        subject: template.subject,
+        text: template.text,
+        html: template.html,
+        messageId: replyData.messageId,
+        inReplyTo: replyData.inReplyTo,
+        references: replyData.references
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      console.log('✅ Contact reply sent:', result.messageId);
+      return { success: true, messageId: result.messageId, subject: template.subject };
+    } catch (error) {
+      console.error('❌ Error sending contact reply:', error.message);
+      throw error;
+    }
+  },
+
   // Test email configuration
   async testConnection() {
     try {
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const sanitizeHtml = require('sanitize-html');
+const Contact = require('../models/Contact');
+const ContactMessage = require('../models/ContactMessage');
+const Person = require('../models/Person');
+const { logAudit, auditChange } = require('./auditService');
+const {
+  createSpamPipeline,
+  submissionThrottleCheck,
+  linkCountCheck,
+  keywordCheck,
+  disposableEmailCheck
+} = require('./antiSpam');
+
+// Customer replies are matched to a contact by their threading headers, or failing that by a
+// signed token in a plus-addressed Reply-To (e.g. hello+c<contactId>.<signature>@example.com)
+// that survives mail clients which drop In-Reply-To.
+
+const PLUS_TOKEN_PATTERN = /\+c([a-f0-9]{24})\.([a-f0-9]{10})@/i;
+
+// Mail that starts a new contact is scored like a form submission, minus the checks that only
+// make sense for the web form. Exported so deployments can `.use()` extra checks.
+const inboundSpamPipeline = createSpamPipeline([
+  submissionThrottleCheck(Contact, { field: 'email', max: parseInt(process.env.CONTACT_MAX_PER_EMAIL_PER_HOUR) || 3 }),
+  linkCountCheck(['subject', 'message']),
+  keywordCheck(['subject', 'message']),
+  disposableEmailCheck()
+]);
+
+const tokenSecret = () => process.env.INBOUND_TOKEN_SECRET || process.env.JWT_SECRET || '';
+
+const signContactId = (contactId) =>
+  crypto.createHmac('sha256', tokenSecret()).update(String(contactId)).digest('hex').slice(0, 10);
+
+// Reply-To address for outbound replies, or undefined when no inbound mailbox is configured
+const replyAddressFor = (contact) => {
+  const mailbox = process.env.INBOUND_EMAIL_ADDRESS || process.env.EMAIL_USER;
+  if (!mailbox || !mailbox.includes('@') || !tokenSecret()) return undefined;
+
+  const [local, domain] = mailbox.split('@');
+  return `${local.split('+')[0]}+c${contact._id}.${signContactId(contact._id)}@${domain}`;
+};
+
+const contactIdFromAddress = (address) => {
+  const match = String(address || '').match(PLUS_TOKEN_PATTERN);
+  if (!match || !tokenSecret()) return null;
+
+  const [, contactId, signature] = match;
+  const expected = signContactId(contactId.toLowerCase());
+  const valid = crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature.toLowerCase()));
+  return valid ? contactId.toLowerCase() : null;
+};
+
+// Flatten mailparser address objects (or plain header strings) into a list of addresses
+const collectAddresses = (...values) => {
+  const addresses = [];
+  for (const value of values.flat()) {
+    if (!value) continue;
+    if (typeof value === 'string') {
+      addresses.push(...value.split(','));
+    } else if (Array.isArray(value.value)) {
+      addresses.push(...value.value.map(entry => entry.address));
+    }
+  }
+  return addresses.map(a => String(a || '').trim()).filter(Boolean);
+};
+
+const toList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/\s+/);
+  return list.map(v => v.trim()).filter(Boolean);
+};
+
+const bodyText = (parsed) => {
+  if (parsed.text && parsed.text.trim()) return parsed.text.trim();
+  if (parsed.html) return sanitizeHtml(parsed.html, { allowedTags: [], allowedAttributes: {} }).trim();
+  return '';
+};
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// Find the contact a message belongs to: In-Reply-To first, then References (newest first), then the plus token
+const findThread = async (parsed) => {
+  const threadIds = [...toList(parsed.inReplyTo), ...toList(parsed.references).reverse()];
+
+  for (const id of threadIds) {
+    const message = await ContactMessage.findOne({ messageId: id }).select('contactId');
+    if (message) return { contactId: message.contactId, matchedBy: 'header' };
+
+    const contact = await Contact.findOne({ messageId: id }).select('_id');
+    if (contact) return { contactId: contact._id, matchedBy: 'header' };
+  }
+
+  const recipients = collectAddresses(
+    parsed.to,
+    parsed.cc,
+    parsed.headers.get('delivered-to'),
+    parsed.headers.get('x-original-to')
+  );
+  for (const address of recipients) {
+    const contactId = contactIdFromAddress(address);
+    if (contactId) return { contactId, matchedBy: 'token' };
+  }
+
+  return null;
+};
+
+// Parse a raw RFC 822 message, file it and record it in the audit log. Resolves to
+// { outcome: 'appended' | 'created' | 'duplicate', contact, message? }.
+// `req` is the HTTP request for the inbound route, or omitted when mail is piped in.
+const ingestRawEmail = async (raw, req = {}) => {
+  const result = await fileRawEmail(raw);
+  const via = req.method ? 'http' : 'pipe';
+
+  if (result.outcome === 'appended') {
+    await logAudit('create', 'contact-message', result.message._id, req, {
+      contactId: result.contact._id,
+      direction: 'inbound',
+      matchedBy: result.matchedBy,
+      via
+    });
+  } else if (result.outcome === 'created') {
+    // Awaited rather than Person.track: the pipe script disconnects as soon as this resolves
+    await Person.refresh(result.contact.email).catch(err => console.error('Person refresh failed:', err.message));
+    await auditChange('create', 'contact', req, { after: result.contact, details: { source: 'email', via } });
+  }
+
+  return result;
+};
+
+const fileRawEmail = async (raw) => {
+  const parsed = await simpleParser(raw);
+  const sender = parsed.from?.value?.[0];
+
+  if (!sender?.address) {
+    throw new Error('Message has no From address');
+  }
+
+  if (parsed.messageId) {
+    const existing = await ContactMessage.findOne({ messageId: parsed.messageId });
+    if (existing) {
+      return { outcome: 'duplicate', contact: await Contact.findById(existing.contactId), message: existing };
+    }
+    const existingContact = await Contact.findOne({ messageId: parsed.messageId });
+    if (existingContact) return { outcome: 'duplicate', contact: existingContact };
+  }
+
+  const text = bodyText(parsed);
+  const receivedAt = parsed.date || new Date();
+  const thread = await findThread(parsed);
+  const contact = thread && await Contact.findById(thread.contactId);
+
+  if (contact) {
+    const message = await ContactMessage.create({
+      contactId: contact._id,
+      direction: 'inbound',
+      from: sender.address,
+      to: collectAddresses(parsed.to).join(', '),
+      subject: clip(parsed.subject || '', 300),
+      body: clip(text || '(empty message)', 20000),
+      messageId: parsed.messageId,
+      inReplyTo: toList(parsed.inReplyTo)[0],
+      references: toList(parsed.references),
+      deliveryStatus: 'received',
+      sentAt: receivedAt
+    });
+
+    contact.lastMessageAt = receivedAt;
+    await contact.save();
+
+    return { outcome: 'appended', contact, message, matchedBy: thread.matchedBy };
+  }
+
+  const fields = {
+    name: clip(sender.name || sender.address.split('@')[0], 100),
+    email: sender.address,
+    subject: clip(parsed.subject || '(no subject)', 200),
+    message: clip(text || '(empty message)', 2000)
+  };
+  const spam = await inboundSpamPipeline.evaluate({ ...fields, body: {} });
+
+  const created = await Contact.create({
+    ...fields,
+    source: 'email',
+    messageId: parsed.messageId,
+    lastMessageAt: receivedAt,
+    emailSent: false,
+    spamScore: spam.score,
+    spamReasons: spam.reasons,
+    status: spam.isSpam ? 'spam' : 'pending'
+  });
+
+  if (spam.isSpam) {
+    console.warn(`🚫 Inbound contact ${created._id} flagged as spam (score ${spam.score}: ${spam.reasons.join(', ')})`);
+  }
+
+  return { outcome: 'created', contact: created };
+};
+
+module.exports = {
+  inboundSpamPipeline,
+  ingestRawEmail,
+  replyAddressFor,
+  contactIdFromAddress
+};
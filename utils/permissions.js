@@ -0,0 +1,90 @@
+// Role-based access control for admin users.
+// Each role maps to the list of permissions it grants; '*' grants everything.
+
+const PERMISSIONS = [
+  'blog:read',
+  'blog:write',
+  'blog:publish',
+  'blog:delete',
+  'events:read',
+  'events:write',
+  'events:publish',
+  'events:delete',
+  'events:registrations:read',
+  'events:registrations:write',
+  'events:registrations:export',
+  'case-studies:read',
+  'case-studies:write',
+  'case-studies:delete',
+  'contacts:read',
+  'contacts:write',
+  'contacts:delete',
+  'subscriptions:read',
+  'subscriptions:write',
+  'subscriptions:delete',
+  'campaigns:read',
+  'campaigns:write',
+  'campaigns:send',
+  'audit:read',
+  'audit:manage',
+  'users:manage',
+  'api-keys:manage'
+];
+
+// Account management stays with humans; API keys can hold any other permission as a scope
+const API_KEY_SCOPES = PERMISSIONS.filter(permission => !['users:manage', 'api-keys:manage'].includes(permission));
+
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  editor: [
+    'blog:read', 'blog:write', 'blog:publish', 'blog:delete',
+    'events:read', 'events:write', 'events:publish', 'events:delete',
+    'events:registrations:read', 'events:registrations:write', 'events:registrations:export',
+    'case-studies:read', 'case-studies:write', 'case-studies:delete',
+    'contacts:read', 'contacts:write',
+    'subscriptions:read',
+    'campaigns:read', 'campaigns:write'
+  ],
+  'event-manager': [
+    'events:read', 'events:write', 'events:publish', 'events:delete',
+    'events:registrations:read', 'events:registrations:write', 'events:registrations:export'
+  ],
+  viewer: [
+    'blog:read',
+    'events:read',
+    'events:registrations:read',
+    'case-studies:read',
+    'contacts:read',
+    'subscriptions:read',
+    'campaigns:read'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getRolePermissions = (role) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') ? [...PERMISSIONS] : [...granted];
+};
+
+const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+// Users are checked against their role, API keys against their scopes
+const userHasPermission = (user, permission) => {
+  if (!user) return false;
+  if (user.type === 'api-key') return (user.scopes || []).includes(permission);
+  return hasPermission(user.role, permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  ROLE_PERMISSIONS,
+  ROLES,
+  getRolePermissions,
+  hasPermission,
+  userHasPermission
+};
@@ -0,0 +1,27 @@
+const Subscription = require('../models/Subscription');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Pending subscriptions are purged once their confirmation link has been expired for a while
+const purgeAfterHours = () => parseInt(process.env.SUBSCRIPTION_PENDING_PURGE_HOURS) || 72;
+
+async function runSubscriptionPurge() {
+  const cutoff = new Date(Date.now() - purgeAfterHours() * HOUR_MS);
+  const result = await Subscription.purgeUnconfirmed(cutoff);
+
+  if (result.deleted || result.reverted) {
+    console.log(`🧹 Purged unconfirmed subscriptions: ${result.deleted} deleted, ${result.reverted} returned to their previous status`);
+  }
+  return { cutoff, ...result };
+}
+
+function scheduleSubscriptionPurge() {
+  const run = () => runSubscriptionPurge().catch(error => {
+    console.error('❌ Subscription purge job failed:', error.message);
+  });
+
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, HOUR_MS).unref();
+}
+
+module.exports = { runSubscriptionPurge, scheduleSubscriptionPurge };
@@ -0,0 +1,67 @@
+const jwt = require('jsonwebtoken');
+
+// Signed links for subscribers, who have no account. Each token is bound to one purpose and to
+// the address it was issued for, so it stops working if the subscription's email changes.
+
+const tokenSecret = () => process.env.SUBSCRIPTION_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const signSubscriptionToken = (subscription, purpose, options = {}) =>
+  jwt.sign(
+    { sid: subscription._id.toString(), email: subscription.email, purpose },
+    tokenSecret(),
+    options
+  );
+
+// Returns { sid, email } or null when the token is invalid, expired or for another purpose
+const verifySubscriptionToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, tokenSecret());
+    if (payload.purpose !== purpose || !payload.sid) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Find the subscription a token was issued for, if it still has the same address
+const findByToken = async (Subscription, token, purpose) => {
+  const payload = verifySubscriptionToken(token, purpose);
+  if (!payload) return null;
+
+  const subscription = await Subscription.findById(payload.sid);
+  if (!subscription || subscription.email !== payload.email) return null;
+  return subscription;
+};
+
+// Link to a page on the public site (SITE_URL), which calls the API with the token
+const siteLink = (page, token) => {
+  const base = (process.env.SITE_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${base}/${page}/${encodeURIComponent(token)}`;
+};
+
+// Absolute URL of an API route, for links that must reach this server directly
+const apiLink = (route) => {
+  const base = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+  return `${base}${route}`;
+};
+
+// Links included in every subscriber email. These tokens never expire: links in old
+// newsletters must keep working.
+const subscriberLinks = (subscription) => {
+  const unsubscribeToken = signSubscriptionToken(subscription, 'unsubscribe');
+  const preferencesToken = signSubscriptionToken(subscription, 'preferences');
+  return {
+    pageUrl: siteLink('newsletter/unsubscribe', unsubscribeToken),
+    oneClickUrl: apiLink(`/api/subscription/unsubscribe/${encodeURIComponent(unsubscribeToken)}`),
+    preferencesUrl: siteLink('newsletter/preferences', preferencesToken)
+  };
+};
+
+module.exports = {
+  signSubscriptionToken,
+  verifySubscriptionToken,
+  findByToken,
+  siteLink,
+  apiLink,
+  subscriberLinks
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 second steps, 6 digits),
+// compatible with Google Authenticator, 1Password, Authy and friends.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, as recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Returns the matched time step, or null. Accepts one step of clock drift either way.
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep(time);
+  const expected = Buffer.from(normalized);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateCode(secret, step + offset));
+    if (crypto.timingSafeEqual(candidate, expected)) return step + offset;
+  }
+  return null;
+};
+
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};